@@ -1,9 +1,39 @@
 import express from "express";
 import cookieParser from "cookie-parser";
 import cors from "cors";
+import {
+  notFoundHandler,
+  errorHandler,
+} from "./middlewares/error.middleware.js";
+import { serveLocalFiles } from "./utils/diskStorage.js";
+import { STORAGE_LOCAL_ROUTE } from "./constants.js";
 
 const app = express();
 
+/**
+ * Reads `TRUST_PROXY`, Express's "trust proxy" setting, which decides
+ * whether `req.ip` comes from `X-Forwarded-For`. Behind a load balancer or
+ * reverse proxy it must be set, or every client gets the proxy's IP and
+ * shares one rate limit and login lockout bucket. Accepts `true`/`false`,
+ * the number of proxies in front of the API (e.g. `1`), or a comma separated
+ * list of trusted addresses and subnets (e.g. `loopback, 10.0.0.0/8`). Only
+ * trust proxies that overwrite the header, since clients can forge it.
+ * Unset, no proxy is trusted.
+ *
+ * @param {string} [value] - The raw setting.
+ * @returns {boolean|number|string} - The value for `app.set("trust proxy")`.
+ */
+const parseTrustProxy = (value = "") => {
+  const setting = value.trim();
+
+  if (!setting || setting === "false") return false;
+  if (setting === "true") return true;
+  if (/^\d+$/.test(setting)) return Number(setting);
+  return setting;
+};
+
+app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY));
+
 app.use(
   cors({
     origin: process.env.CORS_ORIGIN,
@@ -15,12 +45,45 @@ app.use(
 
 app.use(express.json({ limit: "20kb" }));
 app.use(express.static("public"));
+// files of the local storage driver
+app.use(STORAGE_LOCAL_ROUTE, serveLocalFiles);
 app.use(cookieParser());
 
 // user routes
 import userRoutes from "./routes/user.routes.js";
+// video routes
+import videoRoutes from "./routes/video.routes.js";
+// subscription routes
+import subscriptionRoutes from "./routes/subscription.routes.js";
+// comment routes
+import commentRoutes from "./routes/comment.routes.js";
+// like routes
+import likeRoutes from "./routes/like.routes.js";
+// playlist routes
+import playlistRoutes from "./routes/playlist.routes.js";
+// post routes
+import postRoutes from "./routes/post.routes.js";
+// dashboard routes
+import dashboardRoutes from "./routes/dashboard.routes.js";
+// admin routes
+import adminRoutes from "./routes/admin.routes.js";
+// oauth routes
+import oauthRoutes from "./routes/oauth.routes.js";
 
 // route declaration
 app.use("/api/v1/users", userRoutes);
+app.use("/api/v1/videos", videoRoutes);
+app.use("/api/v1/subscriptions", subscriptionRoutes);
+app.use("/api/v1/comments", commentRoutes);
+app.use("/api/v1/likes", likeRoutes);
+app.use("/api/v1/playlists", playlistRoutes);
+app.use("/api/v1/posts", postRoutes);
+app.use("/api/v1/dashboard", dashboardRoutes);
+app.use("/api/v1/admin", adminRoutes);
+app.use("/api/v1/oauth", oauthRoutes);
+
+// unknown routes and errors, must come after the routes
+app.use(notFoundHandler);
+app.use(errorHandler);
 
 export default app;
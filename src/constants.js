@@ -1 +1,111 @@
 export const DB_NAME = "be-cac-pro-db";
+
+// maximum number of videos kept in a user's watch history
+export const WATCH_HISTORY_LIMIT = 100;
+
+// repeat views by the same viewer inside this window count once
+// (override with VIEW_DEDUP_WINDOW_MINUTES)
+export const VIEW_DEDUP_WINDOW_MINUTES = 24 * 60;
+
+// lifetime of a password reset link
+export const PASSWORD_RESET_TOKEN_EXPIRY_MINUTES = 15;
+
+// email verification links expire after this many hours
+export const EMAIL_VERIFICATION_TOKEN_EXPIRY_HOURS = 24;
+// minimum delay between two verification emails, and the daily cap
+export const EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS = 60;
+export const EMAIL_VERIFICATION_MAX_SENDS_PER_DAY = 5;
+// actions blocked for unverified accounts (override with EMAIL_VERIFICATION_REQUIRED_FOR)
+export const EMAIL_VERIFICATION_REQUIRED_FOR = ["upload", "comment"];
+
+// roles a user can have, from least to most privileged
+export const USER_ROLES = ["user", "moderator", "admin"];
+
+// permissions granted by each role; a user may also hold extra permissions
+export const ROLE_PERMISSIONS = {
+  user: [],
+  moderator: ["user:read", "video:unpublish:any", "comment:delete:any"],
+  admin: [
+    "user:read",
+    "user:ban",
+    "user:role",
+    "video:unpublish:any",
+    "video:delete:any",
+    "comment:delete:any",
+    "audit:read",
+  ],
+};
+
+// every permission that can be granted, on top of a role, to a user
+export const PERMISSIONS = [...new Set(Object.values(ROLE_PERMISSIONS).flat())];
+
+// issuer shown in authenticator apps
+export const TWO_FACTOR_ISSUER = "be-cac-pro";
+// lifetime of the login challenge issued when 2FA is on, and how many can be
+// pending at once (e.g. logins on several devices)
+export const TWO_FACTOR_CHALLENGE_EXPIRY_MINUTES = 5;
+export const TWO_FACTOR_MAX_PENDING_CHALLENGES = 5;
+// wrong codes allowed per account before 2FA logins are locked out; new
+// logins do not reset the count
+export const TWO_FACTOR_MAX_FAILURES = 5;
+// number of one-time recovery codes generated when 2FA is enabled
+export const TWO_FACTOR_RECOVERY_CODE_COUNT = 10;
+
+// time a user has to complete a social login at the provider
+export const OAUTH_STATE_EXPIRY_MINUTES = 10;
+
+// failed logins allowed per account and per IP address before a lockout
+export const LOGIN_MAX_FAILURES_PER_ACCOUNT = 5;
+export const LOGIN_MAX_FAILURES_PER_IP = 20;
+// the first lockout lasts this long and doubles with every further failure
+export const LOGIN_LOCKOUT_BASE_SECONDS = 30;
+export const LOGIN_LOCKOUT_MAX_SECONDS = 15 * 60;
+// failed logins are forgotten after this long without a new failure
+export const LOGIN_FAILURE_WINDOW_MINUTES = 15;
+
+// rate limit policies: a client may burst up to `limit` requests and then
+// gets `limit` more every `windowSeconds`; `keyBy` is "ip" or "user"
+export const RATE_LIMIT_POLICIES = {
+  login: { limit: 10, windowSeconds: 60, keyBy: "ip" },
+  register: { limit: 5, windowSeconds: 60 * 60, keyBy: "ip" },
+  refresh: { limit: 30, windowSeconds: 15 * 60, keyBy: "ip" },
+  upload: { limit: 20, windowSeconds: 60 * 60, keyBy: "user" },
+  passwordReset: { limit: 5, windowSeconds: 15 * 60, keyBy: "ip" },
+  emailVerification: { limit: 10, windowSeconds: 15 * 60, keyBy: "ip" },
+  views: { limit: 60, windowSeconds: 60, keyBy: "user" },
+};
+
+// accepted types and size caps of uploads; the type is read from the file content
+export const UPLOAD_FILE_KINDS = {
+  image: {
+    maxSizeMB: 5,
+    mimeTypes: ["image/jpeg", "image/png", "image/gif", "image/webp"],
+  },
+  video: {
+    maxSizeMB: 500,
+    mimeTypes: [
+      "video/mp4",
+      "video/quicktime",
+      "video/webm",
+      "video/x-matroska",
+      "video/x-msvideo",
+    ],
+  },
+};
+
+// kind of file expected in each upload field
+export const UPLOAD_FIELDS = {
+  avatarImage: "image",
+  coverImage: "image",
+  thumbnail: "image",
+  image: "image",
+  videoFile: "video",
+};
+
+// temp folder of uploads until they reach Cloudinary (override with UPLOAD_TEMP_DIR)
+export const UPLOAD_TEMP_DIR_NAME = "be-cac-pro-uploads";
+
+// path the local storage driver serves its files under
+export const STORAGE_LOCAL_ROUTE = "/media";
+// lifetime of signed file URLs
+export const STORAGE_SIGNED_URL_EXPIRY_SECONDS = 60 * 60;
@@ -0,0 +1,368 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import asyncHandler from "../utils/asyncHandler.js";
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import getPaginationOptions from "../utils/pagination.js";
+import { escapeRegex } from "../utils/search.js";
+import { User } from "../models/user.model.js";
+import { Session } from "../models/session.model.js";
+import { Video } from "../models/video.model.js";
+import { AuditLog } from "../models/auditLog.model.js";
+import { USER_ROLES, PERMISSIONS } from "../constants.js";
+
+const USER_ADMIN_FIELDS = {
+  userName: 1,
+  fullName: 1,
+  email: 1,
+  avatarImage: 1,
+  role: 1,
+  permissions: 1,
+  isEmailVerified: 1,
+  isBanned: 1,
+  bannedAt: 1,
+  banReason: 1,
+  createdAt: 1,
+};
+
+/**
+ * Loads the user targeted by an admin action. Admins cannot act on themselves
+ * so they never lock themselves out.
+ *
+ * @param {string} userId - The ID of the target user.
+ * @param {Object} currentUser - The authenticated admin or moderator.
+ * @returns {Promise<User>} - The target user document.
+ * @throws {ApiError} - If the id is invalid, the user is missing or is the current user.
+ */
+const findTargetUser = async (userId, currentUser) => {
+  if (!isValidObjectId(userId)) {
+    throw new ApiError(400, "Invalid user id");
+  }
+
+  if (currentUser._id.equals(userId)) {
+    throw new ApiError(400, "You cannot perform this action on yourself");
+  }
+
+  const user = await User.findById(userId).select("-password");
+
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+
+  return user;
+};
+
+// ---------------------------------------------------------------
+// LIST USERS
+// ---------------------------------------------------------------
+/**
+ * Lists users, newest first, optionally filtered by name, role or ban status.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} [req.query.q] - Matches the start of the user name, full name or email.
+ * @param {string} [req.query.role] - Only users with this role.
+ * @param {string} [req.query.banned] - true or false to filter on the ban status.
+ * @param {string} [req.query.page] - The page number, defaults to 1.
+ * @param {string} [req.query.limit] - The page size, defaults to 10.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response with the paginated users.
+ * @throws {ApiError} - If the role filter is unknown.
+ */
+const getUsers = asyncHandler(async (req, res) => {
+  const { q, role, banned } = req.query;
+  const match = {};
+
+  if (typeof q === "string" && q.trim()) {
+    const pattern = new RegExp(`^${escapeRegex(q.trim())}`, "i");
+    match.$or = [
+      { userName: pattern },
+      { fullName: pattern },
+      { email: pattern },
+    ];
+  }
+
+  if (role !== undefined) {
+    if (!USER_ROLES.includes(role)) {
+      throw new ApiError(400, `Role must be one of: ${USER_ROLES.join(", ")}`);
+    }
+    match.role = role;
+  }
+
+  if (banned === true) match.isBanned = true;
+  if (banned === false) match.isBanned = { $ne: true };
+
+  const aggregate = User.aggregate([
+    { $match: match },
+    { $sort: { createdAt: -1, _id: -1 } },
+    { $project: USER_ADMIN_FIELDS },
+  ]);
+
+  const users = await User.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query)
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, users, "Users fetched successfully"));
+});
+
+// ---------------------------------------------------------------
+// BAN USER
+// ---------------------------------------------------------------
+/**
+ * Bans a user and revokes all of their sessions, so they are signed out
+ * everywhere and cannot log in again until unbanned. Admins cannot be banned.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} req.params.userId - The ID of the user to ban.
+ * @param {string} [req.body.reason] - Why the user is banned.
+ * @param {Object} req.user - The authenticated admin.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response with the banned user.
+ * @throws {ApiError} - If the user is missing, already banned or an admin.
+ */
+const banUser = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+  const user = await findTargetUser(req.params.userId, req.user);
+
+  if (user.role === "admin") {
+    throw new ApiError(403, "Admins cannot be banned");
+  }
+
+  if (user.isBanned) {
+    throw new ApiError(409, "User is already banned");
+  }
+
+  user.isBanned = true;
+  user.bannedAt = new Date();
+  user.bannedBy = req.user._id;
+  user.banReason = typeof reason === "string" ? reason.trim() : undefined;
+  await user.save({ validateBeforeSave: false });
+
+  await Session.updateMany(
+    { user: user._id, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: "banned" } }
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, user, "User banned successfully"));
+});
+
+// ---------------------------------------------------------------
+// UNBAN USER
+// ---------------------------------------------------------------
+/**
+ * Lifts the ban of a user. They have to log in again afterwards.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} req.params.userId - The ID of the user to unban.
+ * @param {Object} req.user - The authenticated admin.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response with the unbanned user.
+ * @throws {ApiError} - If the user is missing or not banned.
+ */
+const unbanUser = asyncHandler(async (req, res) => {
+  const user = await findTargetUser(req.params.userId, req.user);
+
+  if (!user.isBanned) {
+    throw new ApiError(409, "User is not banned");
+  }
+
+  user.isBanned = false;
+  user.bannedAt = undefined;
+  user.bannedBy = undefined;
+  user.banReason = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, user, "User unbanned successfully"));
+});
+
+// ---------------------------------------------------------------
+// CHANGE USER ROLE
+// ---------------------------------------------------------------
+/**
+ * Changes the role of a user and, optionally, their extra permissions.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} req.params.userId - The ID of the user.
+ * @param {string} req.body.role - The new role.
+ * @param {string[]} [req.body.permissions] - Extra permissions, replaces the current ones.
+ * @param {Object} req.user - The authenticated admin.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response with the updated user.
+ * @throws {ApiError} - If the role or permissions are invalid or the user is missing.
+ */
+const updateUserRole = asyncHandler(async (req, res) => {
+  const { role, permissions } = req.body;
+
+  if (!USER_ROLES.includes(role)) {
+    throw new ApiError(400, `Role must be one of: ${USER_ROLES.join(", ")}`);
+  }
+
+  if (
+    permissions !== undefined &&
+    (!Array.isArray(permissions) ||
+      !permissions.every((permission) => typeof permission === "string"))
+  ) {
+    throw new ApiError(400, "Permissions must be a list of strings");
+  }
+
+  const unknownPermissions = permissions?.filter(
+    (permission) => !PERMISSIONS.includes(permission.trim())
+  );
+
+  if (unknownPermissions?.length) {
+    throw new ApiError(
+      400,
+      `Unknown permissions: ${unknownPermissions.join(", ")}`
+    );
+  }
+
+  const user = await findTargetUser(req.params.userId, req.user);
+
+  user.role = role;
+  if (permissions !== undefined) {
+    user.permissions = [...new Set(permissions.map((item) => item.trim()))];
+  }
+  await user.save({ validateBeforeSave: false });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, user, "User role updated successfully"));
+});
+
+// ---------------------------------------------------------------
+// UNPUBLISH ANY VIDEO
+// ---------------------------------------------------------------
+/**
+ * Takes down a video of any channel by unpublishing it. The owner can still
+ * see it, but cannot publish it again until a moderator restores it.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} req.params.videoId - The ID of the video.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response with the updated video.
+ * @throws {ApiError} - If the id is invalid or the video is missing.
+ */
+const unpublishVideo = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  const video = await Video.findByIdAndUpdate(
+    videoId,
+    {
+      $set: {
+        isPublished: false,
+        unpublishedBy: req.user._id,
+        unpublishedAt: new Date(),
+      },
+    },
+    { new: true }
+  );
+
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, video, "Video unpublished successfully"));
+});
+
+// ---------------------------------------------------------------
+// RESTORE AN UNPUBLISHED VIDEO
+// ---------------------------------------------------------------
+/**
+ * Lifts a moderator's takedown. The video stays unpublished; its owner can
+ * publish it again.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} req.params.videoId - The ID of the video.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response with the updated video.
+ * @throws {ApiError} - If the id is invalid, the video is missing or not taken down.
+ */
+const restoreVideo = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  const video = await Video.findById(videoId);
+
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  if (!video.unpublishedBy) {
+    throw new ApiError(409, "Video was not taken down by a moderator");
+  }
+
+  video.unpublishedBy = undefined;
+  video.unpublishedAt = undefined;
+  await video.save({ validateBeforeSave: false });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, video, "Video restored successfully"));
+});
+
+// ---------------------------------------------------------------
+// LIST AUDIT LOGS
+// ---------------------------------------------------------------
+/**
+ * Lists security events such as account lockouts, newest first.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} [req.query.event] - Only events with this name, e.g. "login-lockout".
+ * @param {string} [req.query.userId] - Only events concerning this user.
+ * @param {string} [req.query.page] - The page number, defaults to 1.
+ * @param {string} [req.query.limit] - The page size, defaults to 10.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response with the paginated events.
+ * @throws {ApiError} - If the user id is invalid.
+ */
+const getAuditLogs = asyncHandler(async (req, res) => {
+  const { event, userId } = req.query;
+  const match = {};
+
+  if (typeof event === "string" && event) match.event = event;
+
+  if (userId !== undefined) {
+    if (!isValidObjectId(userId)) {
+      throw new ApiError(400, "Invalid user id");
+    }
+    match.user = new mongoose.Types.ObjectId(userId);
+  }
+
+  const aggregate = AuditLog.aggregate([
+    { $match: match },
+    { $sort: { createdAt: -1, _id: -1 } },
+  ]);
+
+  const logs = await AuditLog.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query)
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, logs, "Audit logs fetched successfully"));
+});
+
+export {
+  getUsers,
+  banUser,
+  unbanUser,
+  updateUserRole,
+  unpublishVideo,
+  restoreVideo,
+  getAuditLogs,
+};
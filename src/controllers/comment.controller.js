@@ -0,0 +1,322 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import asyncHandler from "../utils/asyncHandler.js";
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import { paginateBeforeLookups } from "../utils/pagination.js";
+import lookupLikes from "../utils/likes.js";
+import { Comment } from "../models/comment.model.js";
+import { Video } from "../models/video.model.js";
+import { Like } from "../models/like.model.js";
+
+const MAX_COMMENT_LENGTH = 2000;
+
+/**
+ * Loads a video that the given user is allowed to see: published videos for
+ * everyone, unpublished ones only for their owner.
+ *
+ * @param {string} videoId - The ID of the video.
+ * @param {Object} [user] - The authenticated user, if any.
+ * @returns {Promise<Video>} - The video document.
+ * @throws {ApiError} - If the id is invalid or the video is not visible.
+ */
+const findVisibleVideo = async (videoId, user) => {
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  const video = await Video.findById(videoId).select("owner isPublished");
+
+  if (
+    !video ||
+    (!video.isPublished && video.owner?.toString() !== user?._id?.toString())
+  ) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  return video;
+};
+
+/**
+ * Validates and trims the comment content.
+ *
+ * @param {string} content - The raw comment content.
+ * @returns {string} - The trimmed content.
+ * @throws {ApiError} - If the content is empty or too long.
+ */
+const getCommentContent = (content) => {
+  if (typeof content !== "string" || !content.trim()) {
+    throw new ApiError(400, "Comment content is required");
+  }
+
+  if (content.trim().length > MAX_COMMENT_LENGTH) {
+    throw new ApiError(
+      400,
+      `Comment cannot be longer than ${MAX_COMMENT_LENGTH} characters`
+    );
+  }
+
+  return content.trim();
+};
+
+/**
+ * Aggregation stages shared by comment listings: the author's public profile,
+ * the number of replies and the like count / `isLiked` flag for the viewer.
+ *
+ * @param {Object} [user] - The authenticated user, if any.
+ * @returns {Object[]} - The aggregation stages.
+ */
+const commentDetailsStages = (user) => [
+  {
+    $lookup: {
+      from: "users",
+      localField: "owner",
+      foreignField: "_id",
+      as: "owner",
+      pipeline: [{ $project: { userName: 1, fullName: 1, avatarImage: 1 } }],
+    },
+  },
+  { $addFields: { owner: { $first: "$owner" } } },
+  {
+    $lookup: {
+      from: "comments",
+      localField: "_id",
+      foreignField: "parentComment",
+      as: "replyCount",
+      pipeline: [{ $count: "total" }],
+    },
+  },
+  {
+    $addFields: {
+      replyCount: { $ifNull: [{ $first: "$replyCount.total" }, 0] },
+    },
+  },
+  ...lookupLikes("comment", user?._id),
+];
+
+// ---------------------------------------------------------------
+// GET VIDEO COMMENTS
+// ---------------------------------------------------------------
+/**
+ * Lists the top-level comments of a video, newest first, with their reply counts.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} req.params.videoId - The ID of the video.
+ * @param {string} [req.query.page] - The page number, defaults to 1.
+ * @param {string} [req.query.limit] - The page size, defaults to 10.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response with the paginated comments.
+ * @throws {ApiError} - If the video is not visible.
+ */
+const getVideoComments = asyncHandler(async (req, res) => {
+  const video = await findVisibleVideo(req.params.videoId, req.user);
+
+  const comments = await paginateBeforeLookups(
+    Comment,
+    {
+      match: { video: video._id, parentComment: null },
+      sort: { createdAt: -1, _id: -1 },
+      lookups: commentDetailsStages(req.user),
+    },
+    req.query
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, comments, "Comments fetched successfully"));
+});
+
+// ---------------------------------------------------------------
+// GET COMMENT REPLIES
+// ---------------------------------------------------------------
+/**
+ * Lists the replies of a comment, oldest first.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} req.params.commentId - The ID of the parent comment.
+ * @param {string} [req.query.page] - The page number, defaults to 1.
+ * @param {string} [req.query.limit] - The page size, defaults to 10.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response with the paginated replies.
+ * @throws {ApiError} - If the comment or its video is not visible.
+ */
+const getCommentReplies = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+
+  if (!isValidObjectId(commentId)) {
+    throw new ApiError(400, "Invalid comment id");
+  }
+
+  const parent = await Comment.findById(commentId).select("video");
+
+  if (!parent) {
+    throw new ApiError(404, "Comment not found");
+  }
+
+  await findVisibleVideo(parent.video, req.user);
+
+  const replies = await paginateBeforeLookups(
+    Comment,
+    {
+      match: { parentComment: new mongoose.Types.ObjectId(commentId) },
+      sort: { createdAt: 1, _id: 1 },
+      lookups: commentDetailsStages(req.user),
+    },
+    req.query
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, replies, "Replies fetched successfully"));
+});
+
+// ---------------------------------------------------------------
+// ADD COMMENT (OR REPLY)
+// ---------------------------------------------------------------
+/**
+ * Adds a comment to a video. When `parentId` is given the comment is a reply
+ * to that top-level comment; replies to replies are not allowed.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} req.params.videoId - The ID of the video.
+ * @param {string} req.body.content - The comment text.
+ * @param {string} [req.body.parentId] - The ID of the comment being replied to.
+ * @param {Object} req.user - The authenticated user.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response with the created comment.
+ * @throws {ApiError} - If the content, video or parent comment is invalid.
+ */
+const addComment = asyncHandler(async (req, res) => {
+  const { parentId } = req.body;
+  const content = getCommentContent(req.body.content);
+  const video = await findVisibleVideo(req.params.videoId, req.user);
+
+  let parentComment = null;
+
+  if (parentId) {
+    if (!isValidObjectId(parentId)) {
+      throw new ApiError(400, "Invalid parent comment id");
+    }
+
+    const parent = await Comment.findById(parentId).select(
+      "video parentComment"
+    );
+
+    if (!parent || !parent.video.equals(video._id)) {
+      throw new ApiError(404, "Parent comment not found");
+    }
+
+    if (parent.parentComment) {
+      throw new ApiError(400, "Replies can only be one level deep");
+    }
+
+    parentComment = parent._id;
+  }
+
+  const comment = await Comment.create({
+    content,
+    video: video._id,
+    owner: req.user._id,
+    parentComment,
+  });
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, comment, "Comment added successfully"));
+});
+
+// ---------------------------------------------------------------
+// UPDATE COMMENT (AUTHOR ONLY)
+// ---------------------------------------------------------------
+/**
+ * Edits the content of a comment.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} req.params.commentId - The ID of the comment.
+ * @param {string} req.body.content - The new comment text.
+ * @param {Object} req.user - The authenticated user.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response with the updated comment.
+ * @throws {ApiError} - If the comment is missing or the user is not the author.
+ */
+const updateComment = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+  const content = getCommentContent(req.body.content);
+
+  if (!isValidObjectId(commentId)) {
+    throw new ApiError(400, "Invalid comment id");
+  }
+
+  const comment = await Comment.findById(commentId);
+
+  if (!comment) {
+    throw new ApiError(404, "Comment not found");
+  }
+
+  if (!comment.owner.equals(req.user._id)) {
+    throw new ApiError(403, "You are not allowed to edit this comment");
+  }
+
+  comment.content = content;
+  await comment.save();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, comment, "Comment updated successfully"));
+});
+
+// ---------------------------------------------------------------
+// DELETE COMMENT (AUTHOR, VIDEO OWNER OR MODERATOR)
+// ---------------------------------------------------------------
+/**
+ * Deletes a comment together with its replies and their likes. Allowed for the comment's
+ * author and, for moderation, the owner of the video and moderators.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} req.params.commentId - The ID of the comment.
+ * @param {Object} req.user - The authenticated user.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response.
+ * @throws {ApiError} - If the comment is missing or the user may not delete it.
+ */
+const deleteComment = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+
+  if (!isValidObjectId(commentId)) {
+    throw new ApiError(400, "Invalid comment id");
+  }
+
+  const comment = await Comment.findById(commentId);
+
+  if (!comment) {
+    throw new ApiError(404, "Comment not found");
+  }
+
+  const video = await Video.findById(comment.video).select("owner");
+  const isAuthor = comment.owner.equals(req.user._id);
+  const isVideoOwner = video?.owner?.equals(req.user._id);
+  const isModerator = req.user.hasPermission("comment:delete:any");
+
+  if (!isAuthor && !isVideoOwner && !isModerator) {
+    throw new ApiError(403, "You are not allowed to delete this comment");
+  }
+
+  const replyIds = await Comment.find({ parentComment: comment._id }).distinct(
+    "_id"
+  );
+  const commentIds = [comment._id, ...replyIds];
+
+  await Comment.deleteMany({ _id: { $in: commentIds } });
+  await Like.deleteMany({ comment: { $in: commentIds } });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Comment deleted successfully"));
+});
+
+export {
+  getVideoComments,
+  getCommentReplies,
+  addComment,
+  updateComment,
+  deleteComment,
+};
@@ -0,0 +1,161 @@
+import asyncHandler from "../utils/asyncHandler.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import { paginateBeforeLookups } from "../utils/pagination.js";
+import parseDateRange from "../utils/dateRange.js";
+import lookupLikes from "../utils/likes.js";
+import { Video } from "../models/video.model.js";
+import { Subscription } from "../models/subscription.model.js";
+
+/**
+ * Builds a `$lookup` that counts the documents of `from` pointing at the
+ * video through `foreignField`, optionally limited to a date range.
+ *
+ * @param {string} from - The collection to count in.
+ * @param {string} foreignField - The field referencing the video.
+ * @param {string} as - The name of the resulting count field.
+ * @param {Object} [options]
+ * @param {Object|null} [options.range] - A range condition for `dateField`.
+ * @param {string} [options.dateField] - The date field the range applies to.
+ * @param {number|string} [options.sum] - What to sum per document, 1 counts them.
+ * @returns {Object[]} - The aggregation stages.
+ */
+const lookupCount = (
+  from,
+  foreignField,
+  as,
+  { range = null, dateField = "createdAt", sum = 1 } = {}
+) => [
+  {
+    $lookup: {
+      from,
+      localField: "_id",
+      foreignField,
+      as,
+      pipeline: [
+        ...(range ? [{ $match: { [dateField]: range } }] : []),
+        { $group: { _id: null, total: { $sum: sum } } },
+      ],
+    },
+  },
+  { $addFields: { [as]: { $ifNull: [{ $first: `$${as}.total` }, 0] } } },
+];
+
+// ---------------------------------------------------------------
+// GET CHANNEL STATS
+// ---------------------------------------------------------------
+/**
+ * Returns the current user's channel statistics and a per-video breakdown.
+ *
+ * Without a date range the totals are all-time. With `from` and/or `to`
+ * they cover activity inside the range: videos uploaded, views counted
+ * (from the daily view buckets), likes given and subscribers gained.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} [req.query.from] - The start of the range.
+ * @param {string} [req.query.to] - The end of the range.
+ * @param {Object} req.user - The authenticated user.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response with the channel stats.
+ * @throws {ApiError} - If the date range is invalid.
+ */
+const getChannelStats = asyncHandler(async (req, res) => {
+  const range = parseDateRange(req.query);
+
+  /**
+   * View buckets are keyed by UTC midnight, so the lower bound is rounded
+   * down to include the bucket of the day `from` falls on.
+   */
+  let dayRange = null;
+  if (range) {
+    dayRange = { ...range };
+    if (dayRange.$gte) {
+      dayRange.$gte = new Date(dayRange.$gte);
+      dayRange.$gte.setUTCHours(0, 0, 0, 0);
+    }
+  }
+
+  const videos = await Video.aggregate([
+    { $match: { owner: req.user._id } },
+    ...lookupCount("likes", "video", "likes", { range }),
+    ...lookupCount("comments", "video", "comments", { range }),
+    ...(range
+      ? lookupCount("dailyviews", "video", "views", {
+          range: dayRange,
+          dateField: "day",
+          sum: "$views",
+        })
+      : []),
+    { $sort: { createdAt: -1 } },
+    {
+      $project: {
+        title: 1,
+        thumbnail: 1,
+        isPublished: 1,
+        duration: 1,
+        createdAt: 1,
+        views: 1,
+        likes: 1,
+        comments: 1,
+      },
+    },
+  ]);
+
+  const totalSubscribers = await Subscription.countDocuments({
+    channel: req.user._id,
+    ...(range ? { createdAt: range } : {}),
+  });
+
+  const isInRange = (date) =>
+    !range ||
+    ((!range.$gte || date >= range.$gte) &&
+      (!range.$lte || date <= range.$lte));
+
+  const stats = {
+    totalVideos: videos.filter((video) => isInRange(video.createdAt)).length,
+    totalViews: videos.reduce((total, video) => total + video.views, 0),
+    totalLikes: videos.reduce((total, video) => total + video.likes, 0),
+    totalComments: videos.reduce((total, video) => total + video.comments, 0),
+    totalSubscribers,
+    from: range?.$gte || null,
+    to: range?.$lte || null,
+    videos,
+  };
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, stats, "Channel stats fetched successfully"));
+});
+
+// ---------------------------------------------------------------
+// GET CHANNEL VIDEOS
+// ---------------------------------------------------------------
+/**
+ * Lists all videos of the current user, including unpublished ones, newest first.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} [req.query.page] - The page number, defaults to 1.
+ * @param {string} [req.query.limit] - The page size, defaults to 10.
+ * @param {Object} req.user - The authenticated user.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response with the paginated videos.
+ */
+const getChannelVideos = asyncHandler(async (req, res) => {
+  const videos = await paginateBeforeLookups(
+    Video,
+    {
+      match: { owner: req.user._id },
+      sort: { createdAt: -1, _id: -1 },
+      lookups: [
+        ...lookupLikes("video", req.user._id),
+        ...lookupCount("comments", "video", "commentsCount"),
+      ],
+    },
+    req.query
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, videos, "Channel videos fetched successfully"));
+});
+
+export { getChannelStats, getChannelVideos };
@@ -0,0 +1,218 @@
+import { isValidObjectId } from "mongoose";
+import asyncHandler from "../utils/asyncHandler.js";
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import getPaginationOptions from "../utils/pagination.js";
+import { Like } from "../models/like.model.js";
+import { Video } from "../models/video.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Post } from "../models/post.model.js";
+
+/**
+ * Likes the target for the user, or removes the like if it already exists.
+ *
+ * @param {string} field - The like target field (`video`, `comment` or `post`).
+ * @param {ObjectId} targetId - The ID of the liked item.
+ * @param {ObjectId} userId - The ID of the user.
+ * @returns {Promise<{ isLiked: boolean, likesCount: number }>} - The new like state.
+ */
+const toggleLike = async (field, targetId, userId) => {
+  const removed = await Like.findOneAndDelete({
+    [field]: targetId,
+    likedBy: userId,
+  });
+
+  if (!removed) {
+    try {
+      await Like.create({ [field]: targetId, likedBy: userId });
+    } catch (error) {
+      // a concurrent request already liked it, which is the wanted state
+      if (error?.code !== 11000) throw error;
+    }
+  }
+
+  const likesCount = await Like.countDocuments({ [field]: targetId });
+
+  return { isLiked: !removed, likesCount };
+};
+
+// ---------------------------------------------------------------
+// TOGGLE VIDEO LIKE
+// ---------------------------------------------------------------
+/**
+ * Likes or unlikes a video for the current user.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} req.params.videoId - The ID of the video.
+ * @param {Object} req.user - The authenticated user.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response with the new like state.
+ * @throws {ApiError} - If the video is invalid or not visible.
+ */
+const toggleVideoLike = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  const video = await Video.findOne({
+    _id: videoId,
+    $or: [{ isPublished: true }, { owner: req.user._id }],
+  }).select("_id");
+
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  const result = await toggleLike("video", video._id, req.user._id);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        result,
+        result.isLiked ? "Video liked" : "Video like removed"
+      )
+    );
+});
+
+// ---------------------------------------------------------------
+// TOGGLE COMMENT LIKE
+// ---------------------------------------------------------------
+/**
+ * Likes or unlikes a comment for the current user.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} req.params.commentId - The ID of the comment.
+ * @param {Object} req.user - The authenticated user.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response with the new like state.
+ * @throws {ApiError} - If the comment is invalid or missing.
+ */
+const toggleCommentLike = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+
+  if (!isValidObjectId(commentId)) {
+    throw new ApiError(400, "Invalid comment id");
+  }
+
+  const comment = await Comment.findById(commentId).select("_id");
+
+  if (!comment) {
+    throw new ApiError(404, "Comment not found");
+  }
+
+  const result = await toggleLike("comment", comment._id, req.user._id);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        result,
+        result.isLiked ? "Comment liked" : "Comment like removed"
+      )
+    );
+});
+
+// ---------------------------------------------------------------
+// TOGGLE POST LIKE
+// ---------------------------------------------------------------
+/**
+ * Likes or unlikes a community post for the current user.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} req.params.postId - The ID of the post.
+ * @param {Object} req.user - The authenticated user.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response with the new like state.
+ * @throws {ApiError} - If the post is invalid or missing.
+ */
+const togglePostLike = asyncHandler(async (req, res) => {
+  const { postId } = req.params;
+
+  if (!isValidObjectId(postId)) {
+    throw new ApiError(400, "Invalid post id");
+  }
+
+  const post = await Post.findById(postId).select("_id");
+
+  if (!post) {
+    throw new ApiError(404, "Post not found");
+  }
+
+  const result = await toggleLike("post", post._id, req.user._id);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        result,
+        result.isLiked ? "Post liked" : "Post like removed"
+      )
+    );
+});
+
+// ---------------------------------------------------------------
+// GET LIKED VIDEOS
+// ---------------------------------------------------------------
+/**
+ * Lists the videos liked by the current user, most recently liked first.
+ * Deleted videos and unpublished videos of other channels are left out.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} [req.query.page] - The page number, defaults to 1.
+ * @param {string} [req.query.limit] - The page size, defaults to 10.
+ * @param {Object} req.user - The authenticated user.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response with the paginated videos.
+ */
+const getLikedVideos = asyncHandler(async (req, res) => {
+  const aggregate = Like.aggregate([
+    { $match: { likedBy: req.user._id, video: { $exists: true } } },
+    { $sort: { createdAt: -1, _id: -1 } },
+    {
+      $lookup: {
+        from: "videos",
+        localField: "video",
+        foreignField: "_id",
+        as: "video",
+        pipeline: [
+          {
+            $match: {
+              $or: [{ isPublished: true }, { owner: req.user._id }],
+            },
+          },
+          {
+            $lookup: {
+              from: "users",
+              localField: "owner",
+              foreignField: "_id",
+              as: "owner",
+              pipeline: [
+                { $project: { userName: 1, fullName: 1, avatarImage: 1 } },
+              ],
+            },
+          },
+          { $addFields: { owner: { $first: "$owner" } } },
+        ],
+      },
+    },
+    { $unwind: "$video" },
+    { $project: { _id: 0, likedAt: "$createdAt", video: 1 } },
+  ]);
+
+  const videos = await Like.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query)
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, videos, "Liked videos fetched successfully"));
+});
+
+export { toggleVideoLike, toggleCommentLike, togglePostLike, getLikedVideos };
@@ -0,0 +1,491 @@
+import crypto from "crypto";
+import asyncHandler from "../utils/asyncHandler.js";
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import { hashToken, generateRandomToken } from "../utils/tokens.js";
+import {
+  getOAuthProvider,
+  generatePkcePair,
+  getAuthorizationUrl,
+  fetchOAuthProfile,
+} from "../utils/oauth.js";
+import { generateTokens, createTwoFactorChallenge } from "./user.controller.js";
+import { User } from "../models/user.model.js";
+import { OAuthState } from "../models/oauthState.model.js";
+import { OAuthAccount } from "../models/oauthAccount.model.js";
+import { OAUTH_STATE_EXPIRY_MINUTES } from "../constants.js";
+
+/**
+ * Loads an enabled provider by name.
+ *
+ * @param {string} name - The provider name from the URL.
+ * @returns {Object} - The provider.
+ * @throws {ApiError} - If the provider is unknown or not configured.
+ */
+const findProvider = (name) => {
+  const provider = getOAuthProvider(name);
+
+  if (!provider) {
+    throw new ApiError(404, "Unknown or disabled login provider");
+  }
+
+  return provider;
+};
+
+/**
+ * The callback URL registered at the provider. Uses `OAUTH_CALLBACK_BASE_URL`
+ * when the API runs behind a proxy, otherwise the current host.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} providerName - The provider name.
+ * @returns {string} - The redirect URI.
+ */
+const getRedirectUri = (req, providerName) =>
+  `${process.env.OAUTH_CALLBACK_BASE_URL || `${req.protocol}://${req.get("host")}`}/api/v1/oauth/${providerName}/callback`;
+
+const NONCE_COOKIE = "oauthNonce";
+
+const getNonceCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  // sent on the top-level redirect back from the provider
+  sameSite: "lax",
+  path: "/api/v1/oauth",
+});
+
+/**
+ * Stores a new pending authorization and builds the provider URL for it.
+ * The state is bound to the browser starting the flow by a nonce cookie, so
+ * a callback URL completed by someone else cannot be replayed in another
+ * browser (login CSRF, or linking the victim's identity to another account).
+ *
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object, to set the nonce cookie.
+ * @param {Object} provider - The provider.
+ * @param {string} [userId] - The user linking the provider, when not a login.
+ * @returns {Promise<string>} - The authorization URL.
+ */
+const startAuthorization = async (req, res, provider, userId) => {
+  const state = generateRandomToken();
+  const nonce = generateRandomToken();
+  const { codeVerifier, codeChallenge } = generatePkcePair();
+  const redirectUri = getRedirectUri(req, provider.name);
+
+  await OAuthState.create({
+    stateHash: hashToken(state),
+    nonceHash: hashToken(nonce),
+    provider: provider.name,
+    codeVerifier,
+    redirectUri,
+    user: userId,
+    expiresAt: new Date(Date.now() + OAUTH_STATE_EXPIRY_MINUTES * 60 * 1000),
+  });
+
+  res.cookie(NONCE_COOKIE, nonce, {
+    ...getNonceCookieOptions(),
+    maxAge: OAUTH_STATE_EXPIRY_MINUTES * 60 * 1000,
+  });
+
+  return getAuthorizationUrl(provider, { state, codeChallenge, redirectUri });
+};
+
+/**
+ * Builds a free user name from the provider profile, adding a random suffix
+ * when the name is taken.
+ *
+ * @param {Object} profile - The provider profile.
+ * @returns {Promise<string>} - The user name.
+ */
+const generateUserName = async (profile) => {
+  const base =
+    (profile.userName || profile.email?.split("@")[0] || "")
+      .toLowerCase()
+      .replace(/[^a-z0-9_.]/g, "")
+      .slice(0, 20) || "user";
+
+  let userName = base;
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    if (!(await User.exists({ userName }))) return userName;
+    userName = `${base}${crypto.randomBytes(3).toString("hex")}`;
+  }
+
+  return `${base}${crypto.randomBytes(8).toString("hex")}`;
+};
+
+/**
+ * Finds the user behind a provider profile, in this order: an already linked
+ * identity, an existing account with the same email (only when both sides
+ * verified it), or a new account.
+ *
+ * @param {Object} provider - The provider.
+ * @param {Object} profile - The provider profile.
+ * @returns {Promise<{ user: User, isNewUser: boolean }>}
+ * @throws {ApiError} - If the email is missing or belongs to an account that cannot be linked automatically.
+ */
+const findOrCreateUser = async (provider, profile) => {
+  const account = await OAuthAccount.findOneAndUpdate(
+    { provider: provider.name, providerUserId: profile.id },
+    { $set: { lastLoginAt: new Date() } }
+  );
+
+  if (account) {
+    const user = await User.findById(account.user);
+    if (user) return { user, isNewUser: false };
+
+    // the user was deleted, the identity can be used again
+    await OAuthAccount.deleteOne({ _id: account._id });
+  }
+
+  if (!profile.email) {
+    throw new ApiError(400, "The provider did not share an email address");
+  }
+
+  const email = profile.email.toLowerCase();
+  let user = await User.findOne({ email });
+  let isNewUser = false;
+
+  if (user) {
+    /**
+     * Linking by email is only safe when the provider and our own account
+     * both verified the address; otherwise someone could have registered the
+     * address first and would take over the other person's login.
+     */
+    if (!profile.emailVerified || !user.isEmailVerified) {
+      throw new ApiError(
+        409,
+        "An account with this email already exists, log in and link the provider from your account"
+      );
+    }
+  } else {
+    try {
+      user = await User.create({
+        userName: await generateUserName(profile),
+        fullName: profile.name || profile.userName || email.split("@")[0],
+        email,
+        avatarImage:
+          profile.avatar ||
+          `https://www.gravatar.com/avatar/${hashToken(email)}?d=identicon`,
+        // the account has no usable password until the user sets one through the forgot password flow
+        password: generateRandomToken(),
+        hasPassword: false,
+        isEmailVerified: profile.emailVerified,
+      });
+      isNewUser = true;
+    } catch (error) {
+      if (error?.code === 11000) {
+        throw new ApiError(409, "Account already exists, please try again");
+      }
+      throw error;
+    }
+  }
+
+  try {
+    await OAuthAccount.create({
+      user: user._id,
+      provider: provider.name,
+      providerUserId: profile.id,
+      email,
+      lastLoginAt: new Date(),
+    });
+  } catch (error) {
+    if (error?.code === 11000) {
+      throw new ApiError(
+        409,
+        `A different ${provider.name} account is already linked to this user`
+      );
+    }
+    throw error;
+  }
+
+  return { user, isNewUser };
+};
+
+/**
+ * Links a provider profile to the account that started the link flow.
+ *
+ * @param {Object} provider - The provider.
+ * @param {Object} profile - The provider profile.
+ * @param {string} userId - The ID of the account.
+ * @returns {Promise<OAuthAccount>} - The linked identity.
+ * @throws {ApiError} - If the identity or provider is already linked elsewhere.
+ */
+const linkIdentity = async (provider, profile, userId) => {
+  const existing = await OAuthAccount.findOne({
+    provider: provider.name,
+    providerUserId: profile.id,
+  });
+
+  if (existing) {
+    if (existing.user.equals(userId)) return existing;
+    throw new ApiError(409, "This account is already linked to another user");
+  }
+
+  try {
+    return await OAuthAccount.create({
+      user: userId,
+      provider: provider.name,
+      providerUserId: profile.id,
+      email: profile.email,
+    });
+  } catch (error) {
+    if (error?.code === 11000) {
+      throw new ApiError(
+        409,
+        `A different ${provider.name} account is already linked`
+      );
+    }
+    throw error;
+  }
+};
+
+// ---------------------------------------------------------------
+// START SOCIAL LOGIN
+// ---------------------------------------------------------------
+/**
+ * Starts the authorization code flow with PKCE. The client sends the user
+ * to the returned URL; the provider then redirects back to the callback.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} req.params.provider - The provider name, e.g. "google".
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response with the authorization URL.
+ * @throws {ApiError} - If the provider is unknown or disabled.
+ */
+const authorizeOAuth = asyncHandler(async (req, res) => {
+  const provider = findProvider(req.params.provider);
+  const authorizationUrl = await startAuthorization(req, res, provider);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, { authorizationUrl }, "Redirect to the provider")
+    );
+});
+
+// ---------------------------------------------------------------
+// LINK A PROVIDER TO THE CURRENT ACCOUNT
+// ---------------------------------------------------------------
+/**
+ * Starts the same flow as `authorizeOAuth`, but the callback links the
+ * provider identity to the current user instead of logging in.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} req.params.provider - The provider name.
+ * @param {Object} req.user - The authenticated user.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response with the authorization URL.
+ * @throws {ApiError} - If the provider is unknown or disabled.
+ */
+const linkOAuthAccount = asyncHandler(async (req, res) => {
+  const provider = findProvider(req.params.provider);
+  const authorizationUrl = await startAuthorization(
+    req,
+    res,
+    provider,
+    req.user._id
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, { authorizationUrl }, "Redirect to the provider")
+    );
+});
+
+// ---------------------------------------------------------------
+// PROVIDER CALLBACK
+// ---------------------------------------------------------------
+/**
+ * Completes the flow: checks the state, exchanges the code (with the PKCE
+ * verifier) and either links the identity or logs the user in, creating the
+ * account when needed. Tokens are issued like a password login, including
+ * the two-factor challenge when it is on.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} req.params.provider - The provider name.
+ * @param {string} req.query.code - The authorization code.
+ * @param {string} req.query.state - The state created when the flow started.
+ * @param {string} req.cookies.oauthNonce - The nonce set in the browser that started the flow.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - The tokens, a two-factor challenge or the linked identity.
+ * @throws {ApiError} - If the provider returned an error, or the state or code is invalid.
+ */
+const oauthCallback = asyncHandler(async (req, res) => {
+  const provider = findProvider(req.params.provider);
+  const { code, state, error } = req.query;
+
+  if (error) {
+    throw new ApiError(400, `Login was cancelled or failed: ${error}`);
+  }
+
+  if (typeof code !== "string" || typeof state !== "string") {
+    throw new ApiError(400, "Authorization code and state are required");
+  }
+
+  const nonce = req.cookies?.[NONCE_COOKIE];
+  res.clearCookie(NONCE_COOKIE, getNonceCookieOptions());
+
+  if (typeof nonce !== "string" || !nonce) {
+    throw new ApiError(400, "Login request is invalid or has expired");
+  }
+
+  /**
+   * The state can only be used once, and only by the browser that started
+   * the flow.
+   */
+  const authorization = await OAuthState.findOneAndDelete({
+    stateHash: hashToken(state),
+    nonceHash: hashToken(nonce),
+    provider: provider.name,
+    expiresAt: { $gt: new Date() },
+  });
+
+  if (!authorization) {
+    throw new ApiError(400, "Login request is invalid or has expired");
+  }
+
+  let profile;
+  try {
+    profile = await fetchOAuthProfile(provider, {
+      code,
+      codeVerifier: authorization.codeVerifier,
+      redirectUri: authorization.redirectUri,
+    });
+  } catch (err) {
+    throw new ApiError(
+      502,
+      err?.message || "Could not complete the login with the provider"
+    );
+  }
+
+  if (authorization.user) {
+    const account = await linkIdentity(provider, profile, authorization.user);
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, account, "Account linked successfully"));
+  }
+
+  const { user, isNewUser } = await findOrCreateUser(provider, profile);
+
+  if (user.isBanned) {
+    throw new ApiError(403, "Your account has been banned");
+  }
+
+  if (user.isTwoFactorEnabled) {
+    const { challengeToken, expiresAt } = await createTwoFactorChallenge(
+      user._id,
+      res
+    );
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { twoFactorRequired: true, challengeToken, expiresAt },
+          "Two-factor authentication required"
+        )
+      );
+  }
+
+  const { accessToken, refreshToken } = await generateTokens(user._id, {
+    userAgent: req.get("User-Agent") || "unknown",
+    ip: req.ip,
+  });
+
+  const loggedInUser = await User.findById(user._id).select("-password");
+
+  const options = {
+    httpOnly: false,
+    secure: false,
+  };
+
+  return res
+    .status(isNewUser ? 201 : 200)
+    .cookie("accessToken", accessToken, options)
+    .cookie("refreshToken", refreshToken, options)
+    .json(
+      new ApiResponse(
+        isNewUser ? 201 : 200,
+        { user: loggedInUser, accessToken, refreshToken, isNewUser },
+        "User loggedin successfully"
+      )
+    );
+});
+
+// ---------------------------------------------------------------
+// GET LINKED ACCOUNTS
+// ---------------------------------------------------------------
+/**
+ * Lists the provider identities linked to the current user.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {Object} req.user - The authenticated user.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response with the linked identities.
+ */
+const getOAuthAccounts = asyncHandler(async (req, res) => {
+  const accounts = await OAuthAccount.find({ user: req.user._id })
+    .select("provider email lastLoginAt createdAt")
+    .sort({ createdAt: 1 });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, accounts, "Linked accounts fetched successfully")
+    );
+});
+
+// ---------------------------------------------------------------
+// UNLINK A PROVIDER
+// ---------------------------------------------------------------
+/**
+ * Removes the link between the current user and a provider. The last
+ * linked provider of an account without a password cannot be removed, or the
+ * user could no longer log in.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} req.params.provider - The provider name.
+ * @param {Object} req.user - The authenticated user.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response.
+ * @throws {ApiError} - If the provider is not linked (404) or is the last way to log in (409).
+ */
+const unlinkOAuthAccount = asyncHandler(async (req, res) => {
+  if (!req.user.hasPassword) {
+    const otherAccounts = await OAuthAccount.countDocuments({
+      user: req.user._id,
+      provider: { $ne: req.params.provider },
+    });
+
+    if (!otherAccounts) {
+      throw new ApiError(
+        409,
+        "Set a password before unlinking your last login provider"
+      );
+    }
+  }
+
+  const account = await OAuthAccount.findOneAndDelete({
+    user: req.user._id,
+    provider: req.params.provider,
+  });
+
+  if (!account) {
+    throw new ApiError(404, "Provider is not linked to your account");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Account unlinked successfully"));
+});
+
+export {
+  authorizeOAuth,
+  linkOAuthAccount,
+  oauthCallback,
+  getOAuthAccounts,
+  unlinkOAuthAccount,
+};
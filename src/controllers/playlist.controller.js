@@ -0,0 +1,527 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import asyncHandler from "../utils/asyncHandler.js";
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import getPaginationOptions from "../utils/pagination.js";
+import { Playlist } from "../models/playlist.model.js";
+import { Video } from "../models/video.model.js";
+
+const VISIBILITIES = ["public", "private"];
+
+/**
+ * Checks whether the given user owns the playlist.
+ *
+ * @param {Object} playlist - The playlist document.
+ * @param {Object} [user] - The authenticated user, if any.
+ * @returns {boolean} - True if the user owns the playlist.
+ */
+const isPlaylistOwner = (playlist, user) =>
+  Boolean(user) && playlist.owner.toString() === user._id.toString();
+
+/**
+ * Loads a playlist by id and makes sure the current user owns it.
+ *
+ * @param {string} playlistId - The ID of the playlist.
+ * @param {Object} user - The authenticated user.
+ * @returns {Promise<Playlist>} - The playlist document.
+ * @throws {ApiError} - If the id is invalid, the playlist is missing or not owned by the user.
+ */
+const findOwnedPlaylist = async (playlistId, user) => {
+  if (!isValidObjectId(playlistId)) {
+    throw new ApiError(400, "Invalid playlist id");
+  }
+
+  const playlist = await Playlist.findById(playlistId);
+
+  if (!playlist) {
+    throw new ApiError(404, "Playlist not found");
+  }
+
+  if (!isPlaylistOwner(playlist, user)) {
+    throw new ApiError(403, "You are not allowed to modify this playlist");
+  }
+
+  return playlist;
+};
+
+/**
+ * Filter for the videos a viewer can see in a playlist: published videos,
+ * plus their own unpublished ones.
+ *
+ * @param {Object} [user] - The authenticated user, if any.
+ * @returns {Object} - The query filter.
+ */
+const getVisibleVideoFilter = (user) =>
+  user
+    ? { $or: [{ isPublished: true }, { owner: user._id }] }
+    : { isPublished: true };
+
+/**
+ * Builds a `$lookup` that resolves the playlist's video ids in playlist order,
+ * dropping deleted videos and unpublished videos the viewer does not own.
+ *
+ * @param {Object} [user] - The authenticated user, if any.
+ * @param {Object[]} [extraStages] - Stages appended to the video pipeline.
+ * @returns {Object} - The `$lookup` stage.
+ */
+const lookupPlaylistVideos = (user, extraStages = []) => ({
+  $lookup: {
+    from: "videos",
+    // joined on the fields so the `_id` index is used; `videoIds` only
+    // restores the playlist order
+    localField: "videos",
+    foreignField: "_id",
+    let: { videoIds: "$videos" },
+    as: "videos",
+    pipeline: [
+      { $match: getVisibleVideoFilter(user) },
+      { $addFields: { position: { $indexOfArray: ["$$videoIds", "$_id"] } } },
+      { $sort: { position: 1 } },
+      { $project: { position: 0 } },
+      ...extraStages,
+    ],
+  },
+});
+
+/**
+ * Loads a playlist as the viewer sees it: its visible videos in order, each
+ * with its owner details, and the playlist owner's profile.
+ *
+ * @param {ObjectId|string} playlistId - The ID of the playlist.
+ * @param {Object} [user] - The authenticated user, if any.
+ * @returns {Promise<Object|null>} - The playlist, or null if it does not exist.
+ */
+const getPlaylistView = async (playlistId, user) => {
+  const [playlist] = await Playlist.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(playlistId) } },
+    lookupPlaylistVideos(user, [
+      {
+        $lookup: {
+          from: "users",
+          localField: "owner",
+          foreignField: "_id",
+          as: "owner",
+          pipeline: [
+            { $project: { userName: 1, fullName: 1, avatarImage: 1 } },
+          ],
+        },
+      },
+      { $addFields: { owner: { $first: "$owner" } } },
+    ]),
+    {
+      $lookup: {
+        from: "users",
+        localField: "owner",
+        foreignField: "_id",
+        as: "owner",
+        pipeline: [{ $project: { userName: 1, fullName: 1, avatarImage: 1 } }],
+      },
+    },
+    {
+      $addFields: {
+        owner: { $first: "$owner" },
+        totalVideos: { $size: "$videos" },
+      },
+    },
+  ]);
+
+  return playlist || null;
+};
+
+/**
+ * Validates the name, description and visibility sent by the client.
+ *
+ * @param {Object} body - The request body.
+ * @param {boolean} requireName - Whether the name is mandatory.
+ * @returns {Object} - The sanitized fields that were provided.
+ * @throws {ApiError} - If a field is invalid.
+ */
+const getPlaylistFields = (body, requireName) => {
+  const { name, description, visibility } = body;
+  const fields = {};
+
+  if (name !== undefined || requireName) {
+    if (typeof name !== "string" || !name.trim()) {
+      throw new ApiError(400, "Playlist name is required");
+    }
+    fields.name = name.trim();
+  }
+
+  if (description !== undefined) {
+    fields.description = String(description).trim();
+  }
+
+  if (visibility !== undefined) {
+    if (!VISIBILITIES.includes(visibility)) {
+      throw new ApiError(400, "Visibility must be public or private");
+    }
+    fields.visibility = visibility;
+  }
+
+  return fields;
+};
+
+// ---------------------------------------------------------------
+// CREATE PLAYLIST
+// ---------------------------------------------------------------
+/**
+ * Creates an empty playlist for the current user.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} req.body.name - The playlist name.
+ * @param {string} [req.body.description] - The playlist description.
+ * @param {string} [req.body.visibility] - `public` (default) or `private`.
+ * @param {Object} req.user - The authenticated user.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response with the created playlist.
+ * @throws {ApiError} - If the fields are invalid.
+ */
+const createPlaylist = asyncHandler(async (req, res) => {
+  const fields = getPlaylistFields(req.body, true);
+
+  const playlist = await Playlist.create({ ...fields, owner: req.user._id });
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, playlist, "Playlist created successfully"));
+});
+
+// ---------------------------------------------------------------
+// GET USER PLAYLISTS
+// ---------------------------------------------------------------
+/**
+ * Lists a user's playlists with their visible video count and the first
+ * video's thumbnail. Private playlists are only listed for their owner.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} req.params.userId - The ID of the playlists' owner.
+ * @param {string} [req.query.page] - The page number, defaults to 1.
+ * @param {string} [req.query.limit] - The page size, defaults to 10.
+ * @param {Object} [req.user] - The authenticated user, if any.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response with the paginated playlists.
+ * @throws {ApiError} - If the user id is invalid.
+ */
+const getUserPlaylists = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  if (!isValidObjectId(userId)) {
+    throw new ApiError(400, "Invalid user id");
+  }
+
+  const match = { owner: new mongoose.Types.ObjectId(userId) };
+
+  if (req.user?._id.toString() !== userId) {
+    match.visibility = "public";
+  }
+
+  const aggregate = Playlist.aggregate([
+    { $match: match },
+    { $sort: { updatedAt: -1, _id: -1 } },
+    lookupPlaylistVideos(req.user, [{ $project: { thumbnail: 1 } }]),
+    {
+      $addFields: {
+        totalVideos: { $size: "$videos" },
+        thumbnail: { $first: "$videos.thumbnail" },
+      },
+    },
+    { $project: { videos: 0 } },
+  ]);
+
+  const playlists = await Playlist.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query)
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, playlists, "Playlists fetched successfully"));
+});
+
+// ---------------------------------------------------------------
+// GET PLAYLIST BY ID
+// ---------------------------------------------------------------
+/**
+ * Retrieves a playlist with its videos in order, each with its owner details.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} req.params.playlistId - The ID of the playlist.
+ * @param {Object} [req.user] - The authenticated user, if any.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response with the playlist.
+ * @throws {ApiError} - If the id is invalid or the playlist is not visible.
+ */
+const getPlaylistById = asyncHandler(async (req, res) => {
+  const { playlistId } = req.params;
+
+  if (!isValidObjectId(playlistId)) {
+    throw new ApiError(400, "Invalid playlist id");
+  }
+
+  const playlist = await getPlaylistView(playlistId, req.user);
+
+  if (
+    !playlist ||
+    (playlist.visibility === "private" &&
+      playlist.owner?._id.toString() !== req.user?._id.toString())
+  ) {
+    throw new ApiError(404, "Playlist not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, playlist, "Playlist fetched successfully"));
+});
+
+// ---------------------------------------------------------------
+// UPDATE PLAYLIST (OWNER ONLY)
+// ---------------------------------------------------------------
+/**
+ * Updates the name, description and/or visibility of a playlist.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} req.params.playlistId - The ID of the playlist.
+ * @param {string} [req.body.name] - The new name.
+ * @param {string} [req.body.description] - The new description.
+ * @param {string} [req.body.visibility] - `public` or `private`.
+ * @param {Object} req.user - The authenticated user.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response with the updated playlist.
+ * @throws {ApiError} - If nothing is provided or the user is not the owner.
+ */
+const updatePlaylist = asyncHandler(async (req, res) => {
+  const fields = getPlaylistFields(req.body, false);
+
+  if (!Object.keys(fields).length) {
+    throw new ApiError(400, "Nothing to update");
+  }
+
+  const playlist = await findOwnedPlaylist(req.params.playlistId, req.user);
+
+  Object.assign(playlist, fields);
+  await playlist.save();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, playlist, "Playlist updated successfully"));
+});
+
+// ---------------------------------------------------------------
+// DELETE PLAYLIST (OWNER ONLY)
+// ---------------------------------------------------------------
+/**
+ * Deletes a playlist. The videos themselves are not touched.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} req.params.playlistId - The ID of the playlist.
+ * @param {Object} req.user - The authenticated user.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response.
+ * @throws {ApiError} - If the playlist is missing or the user is not the owner.
+ */
+const deletePlaylist = asyncHandler(async (req, res) => {
+  const playlist = await findOwnedPlaylist(req.params.playlistId, req.user);
+
+  await Playlist.findByIdAndDelete(playlist._id);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Playlist deleted successfully"));
+});
+
+// ---------------------------------------------------------------
+// ADD VIDEO TO PLAYLIST (OWNER ONLY)
+// ---------------------------------------------------------------
+/**
+ * Appends a video to the end of a playlist. Adding a video that is already
+ * in the playlist is a no-op. Responds with the playlist as returned by
+ * `getPlaylistById`.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} req.params.playlistId - The ID of the playlist.
+ * @param {string} req.params.videoId - The ID of the video.
+ * @param {Object} req.user - The authenticated user.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response with the updated playlist.
+ * @throws {ApiError} - If the playlist or video is invalid.
+ */
+const addVideoToPlaylist = asyncHandler(async (req, res) => {
+  const { playlistId, videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  const playlist = await findOwnedPlaylist(playlistId, req.user);
+
+  const video = await Video.findOne({
+    _id: videoId,
+    ...getVisibleVideoFilter(req.user),
+  }).select("_id");
+
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  await Playlist.updateOne(
+    { _id: playlist._id },
+    { $addToSet: { videos: video._id } }
+  );
+
+  const updatedPlaylist = await getPlaylistView(playlist._id, req.user);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, updatedPlaylist, "Video added to playlist"));
+});
+
+// ---------------------------------------------------------------
+// REMOVE VIDEO FROM PLAYLIST (OWNER ONLY)
+// ---------------------------------------------------------------
+/**
+ * Removes a video from a playlist. Responds with the playlist as returned by
+ * `getPlaylistById`.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} req.params.playlistId - The ID of the playlist.
+ * @param {string} req.params.videoId - The ID of the video.
+ * @param {Object} req.user - The authenticated user.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response with the updated playlist.
+ * @throws {ApiError} - If the playlist or video id is invalid.
+ */
+const removeVideoFromPlaylist = asyncHandler(async (req, res) => {
+  const { playlistId, videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  const playlist = await findOwnedPlaylist(playlistId, req.user);
+
+  await Playlist.updateOne(
+    { _id: playlist._id },
+    { $pull: { videos: new mongoose.Types.ObjectId(videoId) } }
+  );
+
+  const updatedPlaylist = await getPlaylistView(playlist._id, req.user);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, updatedPlaylist, "Video removed from playlist"));
+});
+
+// ---------------------------------------------------------------
+// REORDER PLAYLIST VIDEOS (OWNER ONLY)
+// ---------------------------------------------------------------
+/**
+ * Moves a video of the playlist to a new (zero based) position. Positions
+ * count the videos the owner can see, as listed by `getPlaylistById`; the
+ * video is placed right before the one currently at that position (or right
+ * after the last one), and ids of deleted videos keep their place.
+ *
+ * The move is a single update anchored on that neighbour, so videos added
+ * or removed concurrently are not lost.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} req.params.playlistId - The ID of the playlist.
+ * @param {string} req.body.videoId - The ID of the video to move.
+ * @param {number} req.body.position - The new position of the video.
+ * @param {Object} req.user - The authenticated user.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response with the updated playlist.
+ * @throws {ApiError} - If the video is not in the playlist, the position is invalid or the playlist changed meanwhile.
+ */
+const reorderPlaylistVideo = asyncHandler(async (req, res) => {
+  const { videoId } = req.body;
+  const position = Number(req.body.position);
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  const playlist = await findOwnedPlaylist(req.params.playlistId, req.user);
+
+  const visibleIds = await Video.find({
+    _id: { $in: playlist.videos },
+    ...getVisibleVideoFilter(req.user),
+  }).distinct("_id");
+  const visibleVideos = playlist.videos.filter((id) =>
+    visibleIds.some((visibleId) => visibleId.equals(id))
+  );
+
+  const moved = visibleVideos.find((id) => id.equals(videoId));
+
+  if (!moved) {
+    throw new ApiError(404, "Video is not in this playlist");
+  }
+
+  if (
+    !Number.isInteger(position) ||
+    position < 0 ||
+    position >= visibleVideos.length
+  ) {
+    throw new ApiError(
+      400,
+      `Position must be between 0 and ${visibleVideos.length - 1}`
+    );
+  }
+
+  const others = visibleVideos.filter((id) => !id.equals(moved));
+
+  if (others.length) {
+    const anchor = others[Math.min(position, others.length - 1)];
+    const remaining = {
+      $filter: { input: "$videos", cond: { $ne: ["$$this", moved] } },
+    };
+    const anchorIndex = { $indexOfArray: [remaining, anchor] };
+    const index =
+      position < others.length ? anchorIndex : { $add: [anchorIndex, 1] };
+
+    const result = await Playlist.updateOne(
+      { _id: playlist._id, videos: { $all: [moved, anchor] } },
+      [
+        {
+          $set: {
+            videos: {
+              $concatArrays: [
+                {
+                  $cond: [
+                    { $eq: [index, 0] },
+                    [],
+                    { $slice: [remaining, index] },
+                  ],
+                },
+                [moved],
+                { $slice: [remaining, index, { $size: "$videos" }] },
+              ],
+            },
+          },
+        },
+      ]
+    );
+
+    if (!result.matchedCount) {
+      throw new ApiError(409, "The playlist changed, please try again");
+    }
+  }
+
+  const updatedPlaylist = await getPlaylistView(playlist._id, req.user);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, updatedPlaylist, "Playlist reordered successfully")
+    );
+});
+
+export {
+  createPlaylist,
+  getUserPlaylists,
+  getPlaylistById,
+  updatePlaylist,
+  deletePlaylist,
+  addVideoToPlaylist,
+  removeVideoFromPlaylist,
+  reorderPlaylistVideo,
+};
@@ -0,0 +1,273 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import asyncHandler from "../utils/asyncHandler.js";
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import { uploadFile, deleteFile } from "../utils/storage.js";
+import { paginateBeforeLookups } from "../utils/pagination.js";
+import lookupLikes from "../utils/likes.js";
+import { Post } from "../models/post.model.js";
+import { Like } from "../models/like.model.js";
+import { Subscription } from "../models/subscription.model.js";
+
+const MAX_POST_LENGTH = 1000;
+
+/**
+ * Validates and trims the post content.
+ *
+ * @param {string} content - The raw post content.
+ * @returns {string} - The trimmed content.
+ * @throws {ApiError} - If the content is empty or too long.
+ */
+const getPostContent = (content) => {
+  if (typeof content !== "string" || !content.trim()) {
+    throw new ApiError(400, "Post content is required");
+  }
+
+  if (content.trim().length > MAX_POST_LENGTH) {
+    throw new ApiError(
+      400,
+      `Post cannot be longer than ${MAX_POST_LENGTH} characters`
+    );
+  }
+
+  return content.trim();
+};
+
+/**
+ * Loads a post by id and makes sure the current user owns it.
+ *
+ * @param {string} postId - The ID of the post.
+ * @param {Object} user - The authenticated user.
+ * @returns {Promise<Post>} - The post document.
+ * @throws {ApiError} - If the id is invalid, the post is missing or not owned by the user.
+ */
+const findOwnedPost = async (postId, user) => {
+  if (!isValidObjectId(postId)) {
+    throw new ApiError(400, "Invalid post id");
+  }
+
+  const post = await Post.findById(postId);
+
+  if (!post) {
+    throw new ApiError(404, "Post not found");
+  }
+
+  if (!post.owner.equals(user._id)) {
+    throw new ApiError(403, "You are not allowed to modify this post");
+  }
+
+  return post;
+};
+
+/**
+ * Aggregation stages shared by post listings: the author's public profile
+ * and the like count / `isLiked` flag for the viewer.
+ *
+ * @param {Object} [user] - The authenticated user, if any.
+ * @returns {Object[]} - The aggregation stages.
+ */
+const postDetailsStages = (user) => [
+  {
+    $lookup: {
+      from: "users",
+      localField: "owner",
+      foreignField: "_id",
+      as: "owner",
+      pipeline: [{ $project: { userName: 1, fullName: 1, avatarImage: 1 } }],
+    },
+  },
+  { $addFields: { owner: { $first: "$owner" } } },
+  ...lookupLikes("post", user?._id),
+];
+
+// ---------------------------------------------------------------
+// CREATE POST
+// ---------------------------------------------------------------
+/**
+ * Creates a community post with an optional image.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} req.body.content - The post text.
+ * @param {Object} [req.file] - The optional post image.
+ * @param {Object} req.user - The authenticated user.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response with the created post.
+ * @throws {ApiError} - If the content is invalid or the image upload fails.
+ */
+const createPost = asyncHandler(async (req, res) => {
+  const content = getPostContent(req.body.content);
+  const imageLocalPath = req.file?.path;
+
+  let image;
+
+  if (imageLocalPath) {
+    image = await uploadFile(imageLocalPath);
+
+    if (!image) {
+      throw new ApiError(500, "Error while uploading post image");
+    }
+  }
+
+  const post = await Post.create({
+    content,
+    image: image?.url,
+    imageAssetId: image?.assetId,
+    owner: req.user._id,
+  });
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, post, "Post created successfully"));
+});
+
+// ---------------------------------------------------------------
+// GET USER POSTS
+// ---------------------------------------------------------------
+/**
+ * Lists the posts of a user, newest first.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} req.params.userId - The ID of the author.
+ * @param {string} [req.query.page] - The page number, defaults to 1.
+ * @param {string} [req.query.limit] - The page size, defaults to 10.
+ * @param {Object} [req.user] - The authenticated user, if any.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response with the paginated posts.
+ * @throws {ApiError} - If the user id is invalid.
+ */
+const getUserPosts = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  if (!isValidObjectId(userId)) {
+    throw new ApiError(400, "Invalid user id");
+  }
+
+  const posts = await paginateBeforeLookups(
+    Post,
+    {
+      match: { owner: new mongoose.Types.ObjectId(userId) },
+      sort: { createdAt: -1, _id: -1 },
+      lookups: postDetailsStages(req.user),
+    },
+    req.query
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, posts, "Posts fetched successfully"));
+});
+
+// ---------------------------------------------------------------
+// GET POST FEED
+// ---------------------------------------------------------------
+/**
+ * Lists the posts of every channel the current user is subscribed to, newest first.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} [req.query.page] - The page number, defaults to 1.
+ * @param {string} [req.query.limit] - The page size, defaults to 10.
+ * @param {Object} req.user - The authenticated user.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response with the paginated posts.
+ */
+const getPostFeed = asyncHandler(async (req, res) => {
+  const channelIds = await Subscription.find({
+    subscriber: req.user._id,
+  }).distinct("channel");
+
+  const posts = await paginateBeforeLookups(
+    Post,
+    {
+      match: { owner: { $in: channelIds } },
+      sort: { createdAt: -1, _id: -1 },
+      lookups: postDetailsStages(req.user),
+    },
+    req.query
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, posts, "Feed fetched successfully"));
+});
+
+// ---------------------------------------------------------------
+// UPDATE POST (OWNER ONLY)
+// ---------------------------------------------------------------
+/**
+ * Edits the content and/or image of a post. A replaced image is removed
+ * from storage once the post has been saved.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} req.params.postId - The ID of the post.
+ * @param {string} [req.body.content] - The new post text.
+ * @param {Object} [req.file] - The new post image.
+ * @param {Object} req.user - The authenticated user.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response with the updated post.
+ * @throws {ApiError} - If nothing is provided or the user is not the owner.
+ */
+const updatePost = asyncHandler(async (req, res) => {
+  const imageLocalPath = req.file?.path;
+
+  if (req.body.content === undefined && !imageLocalPath) {
+    throw new ApiError(400, "Nothing to update");
+  }
+
+  const post = await findOwnedPost(req.params.postId, req.user);
+  const oldImage = { assetId: post.imageAssetId, url: post.image };
+
+  if (req.body.content !== undefined) {
+    post.content = getPostContent(req.body.content);
+  }
+
+  if (imageLocalPath) {
+    const image = await uploadFile(imageLocalPath);
+
+    if (!image) {
+      throw new ApiError(500, "Error while uploading post image");
+    }
+
+    post.image = image.url;
+    post.imageAssetId = image.assetId;
+  }
+
+  await post.save();
+
+  if (imageLocalPath && oldImage.url) {
+    await deleteFile(oldImage);
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, post, "Post updated successfully"));
+});
+
+// ---------------------------------------------------------------
+// DELETE POST (OWNER ONLY)
+// ---------------------------------------------------------------
+/**
+ * Deletes a post, its likes and its image.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} req.params.postId - The ID of the post.
+ * @param {Object} req.user - The authenticated user.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response.
+ * @throws {ApiError} - If the post is missing or the user is not the owner.
+ */
+const deletePost = asyncHandler(async (req, res) => {
+  const post = await findOwnedPost(req.params.postId, req.user);
+
+  await Post.findByIdAndDelete(post._id);
+  await Like.deleteMany({ post: post._id });
+
+  if (post.image) {
+    await deleteFile({ assetId: post.imageAssetId, url: post.image });
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Post deleted successfully"));
+});
+
+export { createPost, getUserPosts, getPostFeed, updatePost, deletePost };
@@ -0,0 +1,167 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import asyncHandler from "../utils/asyncHandler.js";
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import getPaginationOptions from "../utils/pagination.js";
+import { Subscription } from "../models/subscription.model.js";
+import { User } from "../models/user.model.js";
+
+/**
+ * Builds the `$lookup` stages that replace a user id field with the user's
+ * public profile.
+ *
+ * @param {string} field - The field holding the user id.
+ * @returns {Object[]} - The aggregation stages.
+ */
+const lookupUserProfile = (field) => [
+  {
+    $lookup: {
+      from: "users",
+      localField: field,
+      foreignField: "_id",
+      as: field,
+      pipeline: [{ $project: { userName: 1, fullName: 1, avatarImage: 1 } }],
+    },
+  },
+  { $unwind: `$${field}` },
+];
+
+// ---------------------------------------------------------------
+// TOGGLE SUBSCRIPTION
+// ---------------------------------------------------------------
+/**
+ * Subscribes the current user to a channel, or unsubscribes if already subscribed.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} req.params.channelId - The ID of the channel (user).
+ * @param {Object} req.user - The authenticated user.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response with the new subscription state.
+ * @throws {ApiError} - If the channel is invalid, missing or the user's own channel.
+ */
+const toggleSubscription = asyncHandler(async (req, res) => {
+  const { channelId } = req.params;
+
+  if (!isValidObjectId(channelId)) {
+    throw new ApiError(400, "Invalid channel id");
+  }
+
+  if (channelId === req.user._id.toString()) {
+    throw new ApiError(400, "You cannot subscribe to your own channel");
+  }
+
+  const channel = await User.findById(channelId).select("_id");
+
+  if (!channel) {
+    throw new ApiError(404, "Channel not found");
+  }
+
+  const removed = await Subscription.findOneAndDelete({
+    subscriber: req.user._id,
+    channel: channel._id,
+  });
+
+  if (!removed) {
+    try {
+      await Subscription.create({
+        subscriber: req.user._id,
+        channel: channel._id,
+      });
+    } catch (error) {
+      // a concurrent request already subscribed, which is the wanted state
+      if (error?.code !== 11000) throw error;
+    }
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { isSubscribed: !removed },
+        removed ? "Unsubscribed successfully" : "Subscribed successfully"
+      )
+    );
+});
+
+// ---------------------------------------------------------------
+// GET SUBSCRIBERS OF A CHANNEL
+// ---------------------------------------------------------------
+/**
+ * Lists the subscribers of a channel, newest first.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} req.params.channelId - The ID of the channel (user).
+ * @param {string} [req.query.page] - The page number, defaults to 1.
+ * @param {string} [req.query.limit] - The page size, defaults to 10.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response with the paginated subscribers.
+ * @throws {ApiError} - If the channel id is invalid.
+ */
+const getUserChannelSubscribers = asyncHandler(async (req, res) => {
+  const { channelId } = req.params;
+
+  if (!isValidObjectId(channelId)) {
+    throw new ApiError(400, "Invalid channel id");
+  }
+
+  const aggregate = Subscription.aggregate([
+    { $match: { channel: new mongoose.Types.ObjectId(channelId) } },
+    ...lookupUserProfile("subscriber"),
+    { $sort: { createdAt: -1, _id: -1 } },
+    { $project: { subscriber: 1, createdAt: 1 } },
+  ]);
+
+  const subscribers = await Subscription.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query)
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, subscribers, "Subscribers fetched successfully")
+    );
+});
+
+// ---------------------------------------------------------------
+// GET CHANNELS A USER SUBSCRIBED TO
+// ---------------------------------------------------------------
+/**
+ * Lists the channels a user is subscribed to, most recent first.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} req.params.subscriberId - The ID of the subscribing user.
+ * @param {string} [req.query.page] - The page number, defaults to 1.
+ * @param {string} [req.query.limit] - The page size, defaults to 10.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response with the paginated channels.
+ * @throws {ApiError} - If the subscriber id is invalid.
+ */
+const getSubscribedChannels = asyncHandler(async (req, res) => {
+  const { subscriberId } = req.params;
+
+  if (!isValidObjectId(subscriberId)) {
+    throw new ApiError(400, "Invalid subscriber id");
+  }
+
+  const aggregate = Subscription.aggregate([
+    { $match: { subscriber: new mongoose.Types.ObjectId(subscriberId) } },
+    ...lookupUserProfile("channel"),
+    { $sort: { createdAt: -1, _id: -1 } },
+    { $project: { channel: 1, createdAt: 1 } },
+  ]);
+
+  const channels = await Subscription.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query)
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, channels, "Subscribed channels fetched successfully")
+    );
+});
+
+export { toggleSubscription, getUserChannelSubscribers, getSubscribedChannels };
@@ -1,71 +1,385 @@
 import jwt from "jsonwebtoken";
+import bcrypt from "bcryptjs";
+import mongoose, { isValidObjectId } from "mongoose";
 import asyncHandler from "../utils/asyncHandler.js";
 import ApiError from "../utils/ApiError.js";
 import ApiResponse from "../utils/ApiResponse.js";
-import uploadOnCloudinary from "../utils/cloudinary.js";
+import { uploadFile, deleteFile } from "../utils/storage.js";
+import { hashToken, generateRandomToken } from "../utils/tokens.js";
+import { sendMail } from "../utils/mailer.js";
+import recordAuditEvent from "../utils/audit.js";
+import {
+  getLoginLock,
+  registerLoginFailure,
+  clearLoginFailures,
+} from "../utils/loginAttempts.js";
+import {
+  generateTotpSecret,
+  getOtpauthUrl,
+  verifyTotp,
+  encryptSecret,
+  decryptSecret,
+} from "../utils/totp.js";
 import { User } from "../models/user.model.js";
+import { Session } from "../models/session.model.js";
+import { Video } from "../models/video.model.js";
+import {
+  WATCH_HISTORY_LIMIT,
+  PASSWORD_RESET_TOKEN_EXPIRY_MINUTES,
+  EMAIL_VERIFICATION_TOKEN_EXPIRY_HOURS,
+  EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS,
+  EMAIL_VERIFICATION_MAX_SENDS_PER_DAY,
+  TWO_FACTOR_ISSUER,
+  TWO_FACTOR_CHALLENGE_EXPIRY_MINUTES,
+  TWO_FACTOR_MAX_PENDING_CHALLENGES,
+  TWO_FACTOR_MAX_FAILURES,
+  TWO_FACTOR_RECOVERY_CODE_COUNT,
+  LOGIN_MAX_FAILURES_PER_ACCOUNT,
+  LOGIN_MAX_FAILURES_PER_IP,
+} from "../constants.js";
+
+/**
+ * A bcrypt hash of a random password, compared against when the login names
+ * an unknown account. Created on first use.
+ */
+let dummyPasswordHash;
+const getDummyPasswordHash = async () => {
+  dummyPasswordHash ??= await bcrypt.hash(generateRandomToken(), 10);
+  return dummyPasswordHash;
+};
+
+/**
+ * Extracts the device details stored on a session from the request.
+ *
+ * @param {Object} req - The Express request object.
+ * @returns {{ userAgent: string, ip: string }} - The client's user agent and IP address.
+ */
+const getClientInfo = (req) => ({
+  userAgent: req.get("User-Agent") || "unknown",
+  ip: req.ip,
+});
+
+/**
+ * Signs a new access / refresh token pair bound to a session.
+ * Only the hash of the refresh token is meant to be stored.
+ *
+ * @param {User} user - The user the tokens are issued for.
+ * @param {string} sessionId - The ID of the session the tokens belong to.
+ * @returns {{ accessToken: string, refreshToken: string, refreshTokenHash: string, expiresAt: Date }}
+ */
+const signSessionTokens = (user, sessionId) => {
+  const accessToken = user.generateAccessToken(sessionId);
+  const refreshToken = user.generateRefreshToken(sessionId);
+
+  return {
+    accessToken,
+    refreshToken,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: new Date(jwt.decode(refreshToken).exp * 1000),
+  };
+};
+
+/**
+ * Creates a new email verification token for the user and emails the link.
+ * Enforces a cooldown between emails and a daily cap per user; the counters
+ * are updated atomically so parallel requests cannot bypass them.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<void>}
+ * @throws {ApiError} - 429 if the user asked for too many emails.
+ */
+const sendVerificationEmail = async (userId) => {
+  const now = new Date();
+  const cooldownStart = new Date(
+    now.getTime() - EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS * 1000
+  );
+  const dayStart = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+  const verificationToken = generateRandomToken();
+
+  /**
+   * Starts a new daily window when the previous one is over, otherwise
+   * increments the counter. The filter only matches outside the cooldown and
+   * below the cap.
+   */
+  const user = await User.findOneAndUpdate(
+    {
+      _id: userId,
+      isEmailVerified: { $ne: true },
+      $and: [
+        {
+          $or: [
+            { emailVerificationSentAt: { $exists: false } },
+            { emailVerificationSentAt: { $lte: cooldownStart } },
+          ],
+        },
+        {
+          $or: [
+            { emailVerificationWindowStart: { $exists: false } },
+            { emailVerificationWindowStart: { $lte: dayStart } },
+            {
+              emailVerificationSendCount: {
+                $lt: EMAIL_VERIFICATION_MAX_SENDS_PER_DAY,
+              },
+            },
+          ],
+        },
+      ],
+    },
+    [
+      {
+        $set: {
+          emailVerificationTokenHash: hashToken(verificationToken),
+          emailVerificationExpiresAt: new Date(
+            now.getTime() +
+              EMAIL_VERIFICATION_TOKEN_EXPIRY_HOURS * 60 * 60 * 1000
+          ),
+          emailVerificationSentAt: now,
+          emailVerificationWindowStart: {
+            $cond: [
+              { $gt: ["$emailVerificationWindowStart", dayStart] },
+              "$emailVerificationWindowStart",
+              now,
+            ],
+          },
+          emailVerificationSendCount: {
+            $cond: [
+              { $gt: ["$emailVerificationWindowStart", dayStart] },
+              { $add: [{ $ifNull: ["$emailVerificationSendCount", 0] }, 1] },
+              1,
+            ],
+          },
+        },
+      },
+    ],
+    { new: true }
+  );
+
+  if (!user) {
+    throw new ApiError(
+      429,
+      "Too many verification emails requested, please try again later"
+    );
+  }
+
+  const verifyUrl = `${process.env.CLIENT_URL || "http://localhost:3000"}/verify-email?token=${verificationToken}`;
+
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text: `Hi ${user.fullName},\n\nPlease confirm your email address by opening the link below. It expires in ${EMAIL_VERIFICATION_TOKEN_EXPIRY_HOURS} hours.\n\n${verifyUrl}`,
+  });
+};
+
+/**
+ * Stores a fresh password reset token for the account with the given email,
+ * if there is one, and emails the link. Only the hash of the token is stored;
+ * the raw token travels in the email. Requesting a new link replaces any
+ * previous one.
+ *
+ * @param {string} email - The normalized email address.
+ * @returns {Promise<void>}
+ */
+const sendPasswordResetEmail = async (email) => {
+  const user = await User.findOne({ email });
+
+  if (!user) return;
+
+  const resetToken = generateRandomToken();
+  const expiryMinutes =
+    Number(process.env.PASSWORD_RESET_TOKEN_EXPIRY_MINUTES) ||
+    PASSWORD_RESET_TOKEN_EXPIRY_MINUTES;
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        passwordResetTokenHash: hashToken(resetToken),
+        passwordResetExpiresAt: new Date(
+          Date.now() + expiryMinutes * 60 * 1000
+        ),
+      },
+    }
+  );
+
+  const resetUrl = `${process.env.CLIENT_URL || "http://localhost:3000"}/reset-password?token=${resetToken}`;
+
+  await sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: `Hi ${user.fullName},\n\nUse the link below to choose a new password. It expires in ${expiryMinutes} minutes and can be used once.\n\n${resetUrl}\n\nIf you did not ask for this, you can ignore this email.`,
+  });
+};
+
+/**
+ * Normalizes a recovery code so the dash and letter case do not matter.
+ *
+ * @param {string} code - The recovery code as entered by the user.
+ * @returns {string} - The normalized code.
+ */
+const normalizeRecoveryCode = (code) =>
+  String(code).replace(/[\s-]/g, "").toLowerCase();
+
+/**
+ * Generates a fresh set of one-time recovery codes. Only their hashes are
+ * meant to be stored; the codes are shown to the user once.
+ *
+ * @returns {{ codes: string[], hashes: string[] }} - The codes and their hashes.
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: TWO_FACTOR_RECOVERY_CODE_COUNT }, () => {
+    const code = generateRandomToken(5);
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map((code) => hashToken(normalizeRecoveryCode(code))),
+  };
+};
+
+/**
+ * Refuses two-factor logins of a user whose wrong codes reached
+ * `TWO_FACTOR_MAX_FAILURES`. The count is kept by the login attempt store
+ * under its own key, so password logins neither reset nor share it.
+ *
+ * @param {string} userId - The ID of the user logging in.
+ * @param {Object} res - The Express response object, for `Retry-After`.
+ * @throws {ApiError} - 429 while the user is locked out.
+ */
+const ensureTwoFactorNotLocked = async (userId, res) => {
+  const lockedUntil = await getLoginLock([`2fa:${userId}`]);
+
+  if (lockedUntil) {
+    const retryAfter = Math.ceil((lockedUntil.getTime() - Date.now()) / 1000);
+    res.set("Retry-After", String(retryAfter));
+    throw new ApiError(
+      429,
+      `Too many invalid authentication codes, try again in ${retryAfter} seconds`
+    );
+  }
+};
+
+/**
+ * Starts the second step of a login for a user with two-factor
+ * authentication on. Challenges of other pending logins stay valid, up to
+ * `TWO_FACTOR_MAX_PENDING_CHALLENGES`.
+ *
+ * @param {string} userId - The ID of the user logging in.
+ * @param {Object} res - The Express response object, for `Retry-After`.
+ * @returns {Promise<{ challengeToken: string, expiresAt: Date }>} - The challenge to return to the client.
+ * @throws {ApiError} - 429 if the user's two-factor logins are locked out.
+ */
+const createTwoFactorChallenge = async (userId, res) => {
+  await ensureTwoFactorNotLocked(userId, res);
+
+  const challengeToken = generateRandomToken();
+  const now = new Date();
+  const expiresAt = new Date(
+    now.getTime() + TWO_FACTOR_CHALLENGE_EXPIRY_MINUTES * 60 * 1000
+  );
+
+  /**
+   * Drops the expired challenges and keeps only the most recent ones.
+   */
+  await User.updateOne({ _id: userId }, [
+    {
+      $set: {
+        twoFactorChallenges: {
+          $slice: [
+            {
+              $concatArrays: [
+                {
+                  $filter: {
+                    input: { $ifNull: ["$twoFactorChallenges", []] },
+                    cond: { $gt: ["$$this.expiresAt", now] },
+                  },
+                },
+                [{ hash: hashToken(challengeToken), expiresAt }],
+              ],
+            },
+            -TWO_FACTOR_MAX_PENDING_CHALLENGES,
+          ],
+        },
+      },
+    },
+  ]);
+
+  return { challengeToken, expiresAt };
+};
 
 // ---------------------------------------------------------------
 // GENERATE REFRESH TOKEN AND ACCESS TOKEN FN
 // ---------------------------------------------------------------
 /**
- * Generates an access token and a refresh token for a user.
+ * Opens a new session for a user (one per login / device) and generates an
+ * access token and a refresh token for it.
  *
  * @param {string} userId - The ID of the user to generate tokens for.
- * @returns {Object} - An object containing the generated access token and refresh token.
+ * @param {Object} [client] - The device details stored on the session.
+ * @param {string} [client.userAgent] - The client's user agent.
+ * @param {string} [client.ip] - The client's IP address.
+ * @returns {Object} - An object containing the generated access token, refresh token and session id.
  * @throws {ApiError} - If there is an error while generating the tokens.
  */
-
-const generateTokens = async (userId) => {
+const generateTokens = async (userId, client = {}) => {
   try {
-    /**
-     * Retrieves the user with the specified userId from the database.
-     *
-     * @param {string} userId - The ID of the user to retrieve.
-     * @returns {Promise<User>} - The user object with the specified userId.
-     * @throws {ApiError} - If there is an error retrieving the user from the database.
-     */
     const user = await User.findById(userId);
 
     /**
-     * Generates an access token for the user.
-     *
-     * @param {string} userId - The ID of the user to generate the access token for.
-     * @returns {string} - The generated access token.
-     * @throws {ApiError} - If there is an error while generating the access token.
-     */
-    const accessToken = user.generateAccessToken();
-
-    /**
-     * Generates a refresh token for the user.
-     *
-     * @param {string} userId - The ID of the user to generate the refresh token for.
-     * @returns {string} - The generated refresh token.
-     * @throws {ApiError} - If there is an error while generating the refresh token.
+     * Creates the session up front so its id can be embedded in the tokens,
+     * then stores the refresh token hash and expiry on it.
      */
-    const refreshToken = user.generateRefreshToken();
+    const session = new Session({
+      user: user._id,
+      userAgent: client.userAgent,
+      ip: client.ip,
+    });
 
-    /**
-     * Saves the generated refresh token for the user.
-     *
-     * @param {string} refreshToken - The generated refresh token for the user.
-     */
-    user.refreshToken = refreshToken;
+    const { accessToken, refreshToken, refreshTokenHash, expiresAt } =
+      signSessionTokens(user, session._id);
 
-    /**
-     * Saves the user object to the database, skipping the validation before saving.
-     *
-     * @returns {Promise<void>} - A promise that resolves when the user object is saved.
-     * @throws {Error} - If there is an error saving the user object to the database.
-     */
-    await user.save({ validateBeforeSave: false });
+    session.refreshTokenHash = refreshTokenHash;
+    session.expiresAt = expiresAt;
+    await session.save();
 
-    return { accessToken, refreshToken };
+    return { accessToken, refreshToken, sessionId: session._id };
   } catch (error) {
     throw new ApiError(500, "Error while generating tokens");
   }
 };
 
+/**
+ * Issues new tokens for an existing session, replacing its refresh token.
+ * Falls back to opening a new session when the session is gone.
+ *
+ * @param {User} user - The user the tokens are issued for.
+ * @param {string} [sessionId] - The ID of the session to renew.
+ * @param {Object} [client] - The device details stored on the session.
+ * @returns {Promise<{ accessToken: string, refreshToken: string }>} - The new tokens.
+ */
+const renewSessionTokens = async (user, sessionId, client = {}) => {
+  if (sessionId) {
+    const { accessToken, refreshToken, refreshTokenHash, expiresAt } =
+      signSessionTokens(user, sessionId);
+
+    const session = await Session.findOneAndUpdate(
+      { _id: sessionId, user: user._id, revokedAt: { $exists: false } },
+      {
+        $set: {
+          refreshTokenHash,
+          expiresAt,
+          ...client,
+          lastUsedAt: new Date(),
+        },
+      }
+    );
+
+    if (session) return { accessToken, refreshToken };
+  }
+
+  return generateTokens(user._id, client);
+};
+
 // ---------------------------------------------------------------
 // REGISTER USER
 // ---------------------------------------------------------------
@@ -118,9 +432,7 @@ const registerUser = asyncHandler(async (req, res) => {
    * @param {string} password - The password of the user.
    * @throws {ApiError} - If any of the required fields are empty or contain only whitespace.
    */
-  if (
-    [fullName, userName, email, password].some((item) => item.trim() === "")
-  ) {
+  if ([fullName, userName, email, password].some((item) => !item?.trim())) {
     throw new ApiError(400, "All fields are required");
   }
 
@@ -152,7 +464,7 @@ const registerUser = asyncHandler(async (req, res) => {
    * @param {Object} req.files.avatarImage - The uploaded avatar image file.
    * @param {string} req.files.avatarImage[0].path - The local file path of the uploaded avatar image.
    */
-  const avatarLocalPath = req.files?.avatarImage[0].path;
+  const avatarLocalPath = req.files?.avatarImage?.[0]?.path;
 
   /**
    * Extracts the path of the cover image file from the request files.
@@ -162,34 +474,34 @@ const registerUser = asyncHandler(async (req, res) => {
    * @param {Object} req.files.coverImage - The uploaded cover image file.
    * @param {string} req.files.coverImage[0].path - The local file path of the uploaded cover image.
    */
-  const coverImageLocalPath = req.files?.coverImage[0].path;
+  const coverImageLocalPath = req.files?.coverImage?.[0]?.path;
 
   /**
-   * Checks if both the avatar and cover image local paths are empty, and throws an API error if so.
+   * Checks that the avatar image was uploaded; the cover image is optional.
    *
-   * @throws {ApiError} - If both the avatar and cover image local paths are empty, with a 400 status code and the message "Profile images are required".
+   * @throws {ApiError} - If the avatar image local path is empty, with a 400 status code and the message "Avatar image is required".
    */
-  if (!avatarLocalPath && !coverImageLocalPath) {
-    throw new ApiError(400, "Profile images are required");
+  if (!avatarLocalPath) {
+    throw new ApiError(400, "Avatar image is required");
   }
 
   /**
-   * Uploads the avatar image to Cloudinary and returns the uploaded image URL.
+   * Stores the avatar image and returns its URL and asset id.
    *
    * @param {string} avatarLocalPath - The local file path of the uploaded avatar image.
-   * @returns {Promise<{ url: string }>} - The uploaded avatar image URL.
+   * @returns {Promise<{ url: string, assetId: string }>} - The stored avatar image.
    */
-  const avatarImage = await uploadOnCloudinary(avatarLocalPath);
+  const avatarImage = await uploadFile(avatarLocalPath);
 
   /**
-   * Uploads the cover image to Cloudinary and returns the uploaded image URL.
+   * Stores the cover image and returns its URL and asset id.
    *
    * @param {string} coverImageLocalPath - The local file path of the uploaded cover image.
-   * @returns {Promise<{ url: string }>} - The uploaded cover image URL.
+   * @returns {Promise<{ url: string, assetId: string }>} - The stored cover image.
    */
-  const coverImage = await uploadOnCloudinary(coverImageLocalPath);
-  if (!avatarImage && !coverImage) {
-    throw new ApiError(400, "Profile images are required");
+  const coverImage = await uploadFile(coverImageLocalPath);
+  if (!avatarImage) {
+    throw new ApiError(400, "Avatar image is required");
   }
 
   // DATABASE ENTRY
@@ -201,7 +513,9 @@ const registerUser = asyncHandler(async (req, res) => {
    * @param {string} email - The email address of the user.
    * @param {string} password - The password of the user.
    * @param {string} avatarImage.url - The URL of the uploaded avatar image.
+   * @param {string} avatarImage.assetId - The storage id of the uploaded avatar image.
    * @param {string} coverImage.url - The URL of the uploaded cover image.
+   * @param {string} coverImage.assetId - The storage id of the uploaded cover image.
    * @returns {Promise<User>} - The newly created user object.
    */
   const user = await User.create({
@@ -210,17 +524,17 @@ const registerUser = asyncHandler(async (req, res) => {
     email,
     password,
     avatarImage: avatarImage.url,
-    coverImage: coverImage.url,
+    avatarImageAssetId: avatarImage.assetId,
+    coverImage: coverImage?.url,
+    coverImageAssetId: coverImage?.assetId,
   });
 
   /**
-   * Retrieves the newly created user from the database, excluding the password and refreshToken fields.
+   * Retrieves the newly created user from the database, excluding the password field.
    *
-   * @returns {Promise<User>} - The newly created user object, with the password and refreshToken fields excluded.
+   * @returns {Promise<User>} - The newly created user object, with the password field excluded.
    */
-  const isUserCreated = await User.findById(user._id).select(
-    "-password -refreshToken"
-  );
+  const isUserCreated = await User.findById(user._id).select("-password");
 
   /**
    * Throws an `ApiError` with a 500 status code and the message "User not created" if the `isUserCreated` variable is falsy.
@@ -228,6 +542,14 @@ const registerUser = asyncHandler(async (req, res) => {
    */
   if (!isUserCreated) throw new ApiError(500, "User not created");
 
+  /**
+   * Sends the email verification link. A mail failure must not fail the
+   * registration; the user can ask for a new link later.
+   */
+  sendVerificationEmail(user._id).catch((error) =>
+    console.error("Failed to send verification email:", error)
+  );
+
   return res.status(201).json(
     new ApiResponse(200, {
       message: "User registered successfully",
@@ -248,7 +570,7 @@ const registerUser = asyncHandler(async (req, res) => {
  * @param {string} req.body.password - The password of the user.
  * @param {Object} res - The Express response object.
  * @returns {ApiResponse} - A successful API response with the user's details and tokens.
- * @throws {ApiError} - If the user does not exist or the password is invalid.
+ * @throws {ApiError} - If the credentials are invalid (401) or too many logins failed (429).
  */
 const loginUser = asyncHandler(async (req, res) => {
   /**
@@ -283,50 +605,116 @@ const loginUser = asyncHandler(async (req, res) => {
   });
 
   /**
-   * Checks if a user exists in the database. If the user does not exist, throws an `ApiError` with a 401 status code and the message "User does not exist".
-   *
-   * @param {Object} user - The user object to check.
-   * @throws {ApiError} If the user does not exist.
+   * Failed logins are counted per account and per IP address. Unknown
+   * accounts are counted by the identifier, so they lock out exactly like
+   * real ones and cannot be told apart.
    */
-  if (!user) {
-    throw new ApiError(401, "User does not exist");
+  const accountKey = user
+    ? `user:${user._id}`
+    : `login:${String(email || userName).toLowerCase()}`;
+  const ipKey = `ip:${req.ip}`;
+
+  const lockedUntil = await getLoginLock([accountKey, ipKey]);
+
+  if (lockedUntil) {
+    const retryAfter = Math.ceil((lockedUntil.getTime() - Date.now()) / 1000);
+    res.set("Retry-After", String(retryAfter));
+    throw new ApiError(
+      429,
+      `Too many failed login attempts, try again in ${retryAfter} seconds`
+    );
   }
 
   /**
    * Validates the user's password by comparing it to the stored password hash.
+   * Unknown accounts are compared against a dummy hash so the response takes
+   * as long as for a wrong password.
    *
    * @param {string} password - The password provided by the user for authentication.
-   * @returns {Promise<boolean>} - True if the password is valid, false otherwise.
    */
-  const isValidPasswrd = await user.isPasswordCorrect(password);
+  let isValidPasswrd = false;
+
+  if (user) {
+    isValidPasswrd = await user.isPasswordCorrect(password);
+  } else {
+    await bcrypt.compare(String(password), await getDummyPasswordHash());
+  }
 
   /**
-   * Validates the user's password by comparing it to the stored password hash.
-   * If the password is invalid, throws an `ApiError` with a 401 status code and the message "Invalid password".
+   * Counts the failure and answers with the same error whether the account
+   * exists or not, so the login cannot be used to find accounts.
    *
-   * @param {string} password - The password provided by the user for authentication.
-   * @throws {ApiError} If the password is invalid.
+   * @throws {ApiError} If the user does not exist or the password is invalid.
    */
   if (!isValidPasswrd) {
-    throw new ApiError(401, "Invalid password");
+    const locks = await registerLoginFailure([
+      { key: accountKey, maxFailures: LOGIN_MAX_FAILURES_PER_ACCOUNT },
+      { key: ipKey, maxFailures: LOGIN_MAX_FAILURES_PER_IP },
+    ]);
+
+    for (const lock of locks) {
+      await recordAuditEvent("login-lockout", {
+        user: lock.key === accountKey ? user?._id : undefined,
+        req,
+        details: {
+          key: lock.key,
+          failures: lock.failures,
+          lockedUntil: lock.lockedUntil,
+        },
+      });
+    }
+
+    throw new ApiError(401, "Invalid credentials");
+  }
+
+  await clearLoginFailures(accountKey);
+
+  /**
+   * Banned users cannot open new sessions.
+   */
+  if (user.isBanned) {
+    throw new ApiError(403, "Your account has been banned");
+  }
+
+  /**
+   * With two-factor authentication on, no tokens are issued yet: the client
+   * gets a short-lived challenge to exchange, together with a code, at
+   * `/login/2fa`.
+   */
+  if (user.isTwoFactorEnabled) {
+    const { challengeToken, expiresAt } = await createTwoFactorChallenge(
+      user._id,
+      res
+    );
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { twoFactorRequired: true, challengeToken, expiresAt },
+          "Two-factor authentication required"
+        )
+      );
   }
 
   /**
-   * Generates access and refresh tokens for the authenticated user.
+   * Opens a new session for this device and generates its access and refresh tokens.
    *
    * @param {string} userId - The ID of the user to generate tokens for.
    * @returns {Promise<{ accessToken: string, refreshToken: string }>} - The generated access and refresh tokens.
    */
-  const { accessToken, refreshToken } = await generateTokens(user._id);
+  const { accessToken, refreshToken } = await generateTokens(
+    user._id,
+    getClientInfo(req)
+  );
 
   /**
-   * Finds the logged-in user's details, excluding the password and refresh token.
+   * Finds the logged-in user's details, excluding the password.
    *
-   * @returns {Promise<User>} - The logged-in user's details, excluding the password and refresh token.
+   * @returns {Promise<User>} - The logged-in user's details, excluding the password.
    */
-  const loggedInUser = await User.findById(user._id).select(
-    "-password -refreshToken"
-  );
+  const loggedInUser = await User.findById(user._id).select("-password");
 
   /**
    * Sets the options for the access and refresh tokens in the response cookies.
@@ -341,7 +729,7 @@ const loginUser = asyncHandler(async (req, res) => {
    * Returns a successful API response with the logged-in user's details, access token, and refresh token.
    *
    * @param {Object} res - The Express response object.
-   * @param {User} loggedInUser - The logged-in user's details, excluding the password and refresh token.
+   * @param {User} loggedInUser - The logged-in user's details, excluding the password.
    * @param {string} accessToken - The generated access token for the authenticated user.
    * @param {string} refreshToken - The generated refresh token for the authenticated user.
    * @returns {ApiResponse} - A successful API response with the user's details and tokens.
@@ -363,11 +751,178 @@ const loginUser = asyncHandler(async (req, res) => {
     );
 });
 
+// ---------------------------------------------------------------
+// COMPLETE LOGIN WITH TWO-FACTOR CODE
+// ---------------------------------------------------------------
+/**
+ * Exchanges the challenge returned by `loginUser` and a TOTP code (or a
+ * one-time recovery code) for the normal access and refresh tokens.
+ * Wrong codes are counted per user across all challenges, and lock the
+ * two-factor login out once they reach `TWO_FACTOR_MAX_FAILURES`.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} req.body.challengeToken - The challenge returned by the login.
+ * @param {string} [req.body.code] - The code from the authenticator app.
+ * @param {string} [req.body.recoveryCode] - A recovery code, used instead of `code`.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response with the user's details and tokens.
+ * @throws {ApiError} - If the challenge is invalid or expired, the code is wrong (401) or too many codes were wrong (429).
+ */
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  if (typeof challengeToken !== "string" || !challengeToken) {
+    throw new ApiError(400, "Challenge token is required");
+  }
+
+  if (!code && !recoveryCode) {
+    throw new ApiError(400, "Authentication code or recovery code is required");
+  }
+
+  const challengeHash = hashToken(challengeToken);
+
+  const user = await User.findOne({
+    twoFactorChallenges: {
+      $elemMatch: { hash: challengeHash, expiresAt: { $gt: new Date() } },
+    },
+    isTwoFactorEnabled: true,
+  }).select("+twoFactorSecret +twoFactorLastUsedStep");
+
+  if (!user) {
+    throw new ApiError(401, "Two-factor challenge is invalid or has expired");
+  }
+
+  if (user.isBanned) {
+    throw new ApiError(403, "Your account has been banned");
+  }
+
+  await ensureTwoFactorNotLocked(user._id, res);
+
+  /**
+   * Counts the attempt as a failure up front, so parallel guesses cannot
+   * exceed the limit; a correct code clears the count again.
+   */
+  const failureKey = `2fa:${user._id}`;
+  const [lock] = await registerLoginFailure([
+    { key: failureKey, maxFailures: TWO_FACTOR_MAX_FAILURES },
+  ]);
+
+  if (lock?.failures > TWO_FACTOR_MAX_FAILURES) {
+    await ensureTwoFactorNotLocked(user._id, res);
+  }
+
+  const consumeChallenge = {
+    twoFactorChallenges: { hash: challengeHash },
+  };
+
+  let isVerified = false;
+
+  if (code) {
+    const step = verifyTotp(decryptSecret(user.twoFactorSecret), code, {
+      afterStep: user.twoFactorLastUsedStep,
+    });
+
+    /**
+     * Records the used time step; the filter makes a concurrent request
+     * with the same code fail.
+     */
+    if (step !== null) {
+      isVerified = Boolean(
+        await User.findOneAndUpdate(
+          {
+            _id: user._id,
+            "twoFactorChallenges.hash": challengeHash,
+            $or: [
+              { twoFactorLastUsedStep: { $exists: false } },
+              { twoFactorLastUsedStep: { $lt: step } },
+            ],
+          },
+          {
+            $set: { twoFactorLastUsedStep: step },
+            $pull: consumeChallenge,
+          }
+        )
+      );
+    }
+  } else {
+    /**
+     * Consumes the recovery code, it cannot be used again.
+     */
+    isVerified = Boolean(
+      await User.findOneAndUpdate(
+        {
+          _id: user._id,
+          "twoFactorChallenges.hash": challengeHash,
+          twoFactorRecoveryCodes: hashToken(
+            normalizeRecoveryCode(recoveryCode)
+          ),
+        },
+        {
+          $pull: {
+            twoFactorRecoveryCodes: hashToken(
+              normalizeRecoveryCode(recoveryCode)
+            ),
+            ...consumeChallenge,
+          },
+        }
+      )
+    );
+  }
+
+  if (!isVerified) {
+    if (lock) {
+      await recordAuditEvent("two-factor-lockout", {
+        user: user._id,
+        req,
+        details: { failures: lock.failures, lockedUntil: lock.lockedUntil },
+      });
+    }
+
+    throw new ApiError(401, "Invalid authentication code");
+  }
+
+  await clearLoginFailures(failureKey);
+
+  const { accessToken, refreshToken } = await generateTokens(
+    user._id,
+    getClientInfo(req)
+  );
+
+  const loggedInUser = await User.findById(user._id).select(
+    "-password +twoFactorRecoveryCodes"
+  );
+  const recoveryCodesRemaining = loggedInUser.twoFactorRecoveryCodes.length;
+  loggedInUser.twoFactorRecoveryCodes = undefined;
+
+  const options = {
+    httpOnly: false,
+    secure: false,
+  };
+
+  return res
+    .status(200)
+    .cookie("accessToken", accessToken, options)
+    .cookie("refreshToken", refreshToken, options)
+    .json(
+      new ApiResponse(
+        200,
+        {
+          user: loggedInUser,
+          accessToken,
+          refreshToken,
+          recoveryCodesRemaining,
+        },
+        "User loggedin successfully"
+      )
+    );
+});
+
 // ---------------------------------------------------------------
 // LOGOUT USER
 // ---------------------------------------------------------------
 /**
- * Logs out the currently authenticated user by removing the refresh token from the user's record and clearing the access and refresh token cookies.
+ * Logs out the currently authenticated user by revoking the session of this device and clearing the access and refresh token cookies.
+ * Sessions on other devices stay active.
  *
  * @param {Object} req - The Express request object.
  * @param {Object} res - The Express response object.
@@ -375,23 +930,17 @@ const loginUser = asyncHandler(async (req, res) => {
  */
 const logoutUser = asyncHandler(async (req, res) => {
   /**
-   * Removes the refresh token from the user's record in the database.
+   * Revokes the session the access token was issued for.
    *
-   * @param {Object} req - The Express request object.
+   * @param {string} req.sessionId - The session ID from the access token.
    * @param {string} req.user._id - The ID of the currently authenticated user.
-   * @returns {Promise<User>} - The updated user document with the refresh token removed.
    */
-  await User.findByIdAndUpdate(
-    req.user._id,
-    {
-      $unset: {
-        refreshToken: 1,
-      },
-    },
-    {
-      new: true,
-    }
-  );
+  if (req.sessionId) {
+    await Session.updateOne(
+      { _id: req.sessionId, user: req.user._id, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date(), revokedReason: "logout" } }
+    );
+  }
 
   /**
    * Options for setting cookies on the response.
@@ -422,130 +971,128 @@ const logoutUser = asyncHandler(async (req, res) => {
 // REFRESH ACCESS TOKEN FOR SESSION RENEWAL
 // ---------------------------------------------------------------
 /**
- * Refreshes the access token for the current user session.
+ * Refreshes the access token for the current user session and rotates the refresh token.
+ *
+ * Every refresh token can be used once. Presenting a token that was already
+ * rotated means it has been copied, so the whole session is revoked and the
+ * user has to log in again on that device.
  *
  * @param {Object} req - The Express request object.
  * @param {string} req?.cookies?.refreshToken - The refresh token from the request cookies.
- * @returns {Promise<ApiResponse>} - A successful API response containing the refreshed access and refresh tokens.
- * @throws {ApiError} - If the refresh token is missing, invalid, or expired.
+ * @param {string} [req.body.refreshToken] - The refresh token, for clients that do not use cookies.
+ * @returns {Promise<ApiResponse>} - A successful API response containing the new access and refresh tokens.
+ * @throws {ApiError} - If the refresh token is missing, invalid, expired or reused.
  */
 const refreshAccessToken = asyncHandler(async (req, res) => {
   /**
-   * Retrieves the refresh token from the request cookies.
-   *
-   * @param {Object} req - The Express request object.
-   * @param {string} req?.cookies?.refreshToken - The refresh token from the request cookies.
-   * @returns {string|undefined} - The refresh token if present, otherwise undefined.
+   * Retrieves the refresh token from the request cookies or body.
    */
-  const newRefreshToken = req?.cookies?.refreshToken;
+  const incomingRefreshToken =
+    req?.cookies?.refreshToken || req.body?.refreshToken;
 
-  /**
-   * Checks if a refresh token is present in the request. If not, throws an unauthorized error.
-   *
-   * @param {Object} req - The Express request object.
-   * @throws {ApiError} - If the refresh token is missing, throws an unauthorized error with a status code of 401.
-   */
-  if (!newRefreshToken) {
+  if (!incomingRefreshToken) {
     throw new ApiError(401, "Unauthorized request found");
   }
 
-  try {
-    /**
-     * Verifies the provided refresh token and decodes the token to retrieve the user ID.
-     *
-     * @param {string} newRefreshToken - The refresh token to be verified.
-     * @returns {Object} - The decoded token payload, which includes the user ID.
-     * @throws {ApiError} - If the refresh token is invalid or expired.
-     */
-    const decodeToken = jwt.verify(
-      newRefreshToken,
+  /**
+   * Verifies the refresh token and decodes the user and session IDs.
+   *
+   * @throws {ApiError} - If the refresh token is invalid or expired.
+   */
+  let decodeToken;
+  try {
+    decodeToken = jwt.verify(
+      incomingRefreshToken,
       process.env.REFRESH_TOKEN_SECRET
     );
+  } catch (error) {
+    throw new ApiError(401, error?.message || "Invalid token found");
+  }
 
-    /**
-     * Retrieves the user document from the database based on the decoded token's user ID.
-     *
-     * @param {string} decodeToken._id - The user ID extracted from the decoded refresh token.
-     * @returns {Promise<User>} - The user document retrieved from the database.
-     * @throws {ApiError} - If the user is not found in the database.
-     */
-    const userId = await User.findById(decodeToken._id);
+  const session = isValidObjectId(decodeToken?.sid)
+    ? await Session.findById(decodeToken.sid)
+    : null;
 
-    /**
-     * Checks if a valid user ID was found in the decoded refresh token. If not, throws an unauthorized error.
-     *
-     * @param {Object} userId - The user document retrieved from the database based on the decoded refresh token.
-     * @throws {ApiError} - If the user ID is not found, throws an unauthorized error with a status code of 401.
-     */
-    if (!userId) {
-      throw new ApiError(401, "Invalid token found");
-    }
+  if (!session || session.user.toString() !== decodeToken._id) {
+    throw new ApiError(401, "Invalid token found");
+  }
 
-    /**
-     * Checks if the provided refresh token matches the user's current refresh token. If not, throws an unauthorized error with a status code of 401.
-     *
-     * @param {string} newRefreshToken - The refresh token from the request.
-     * @param {string} userId.refreshToken - The user's current refresh token stored in the database.
-     * @throws {ApiError} - If the refresh token is expired, throws an unauthorized error with a status code of 401.
-     */
-    if (newRefreshToken !== userId?.refreshToken) {
-      throw new ApiError(401, "Refresh token is expired");
-    }
+  if (!session.isActive()) {
+    throw new ApiError(401, "Session has expired or was revoked");
+  }
 
-    /**
-     * Options for setting the access and refresh tokens as cookies.
-     * These options specify that the cookies should not be marked as HttpOnly or Secure.
-     *
-     * @type {Object}
-     * @property {boolean} httpOnly - Indicates whether the cookie should be accessible only by the web server.
-     * @property {boolean} secure - Indicates whether the cookie should be sent only over a secure protocol (HTTPS).
-     */
-    const options = {
-      httpOnly: false,
-      secure: false,
-    };
+  const user = await User.findById(session.user);
 
-    /**
-     * Generates access and refresh tokens for the user with the provided user ID.
-     *
-     * @param {string} userId - The ID of the user to generate tokens for.
-     * @returns {Object} - An object containing the generated access and refresh tokens.
-     */
-    const { accessToken, refreshToken } = await generateTokens(userId._id);
+  if (!user) {
+    throw new ApiError(401, "Invalid token found");
+  }
 
-    /**
-     * Refreshes the user's access and refresh tokens.
-     *
-     * @param {Object} res - The response object.
-     * @param {string} accessToken - The new access token to be set in the response.
-     * @param {string} refreshToken - The new refresh token to be set in the response.
-     * @param {Object} options - The options for setting the access and refresh tokens as cookies.
-     * @returns {Promise<Object>} - A response with the new access and refresh tokens.
-     * @throws {ApiError} - If the token is invalid or expired.
-     */
-    return res
-      .status(200)
-      .cookie("accessToken", accessToken, options)
-      .cookie("refreshToken", refreshToken, options)
-      .json(
-        new ApiResponse(
-          200,
-          {
-            accessToken,
-            refreshToken: newRefreshToken,
-          },
-          "Access token refreshed successfully"
-        )
-      );
-  } catch (error) {
-    /**
-     * Throws an API error with a 401 status code and the provided error message, or a default message if the error message is not available.
-     *
-     * @param {Error} error - The error object that triggered the API error.
-     * @throws {ApiError} - An API error with a 401 status code and the error message.
-     */
-    throw new ApiError(401, error.message || "Invalid token found");
+  if (user.isBanned) {
+    throw new ApiError(403, "Your account has been banned");
+  }
+
+  /**
+   * Rotates the refresh token. The update only matches while the session
+   * still holds the hash of the presented token, so an old token, or two
+   * concurrent refreshes with the same token, are treated as reuse.
+   */
+  const { accessToken, refreshToken, refreshTokenHash, expiresAt } =
+    signSessionTokens(user, session._id);
+  const { userAgent, ip } = getClientInfo(req);
+
+  const rotatedSession = await Session.findOneAndUpdate(
+    {
+      _id: session._id,
+      refreshTokenHash: hashToken(incomingRefreshToken),
+      revokedAt: { $exists: false },
+    },
+    {
+      $set: {
+        refreshTokenHash,
+        expiresAt,
+        userAgent,
+        ip,
+        lastUsedAt: new Date(),
+      },
+    },
+    { new: true }
+  );
+
+  if (!rotatedSession) {
+    await Session.updateOne(
+      { _id: session._id },
+      { $set: { revokedAt: new Date(), revokedReason: "reuse-detected" } }
+    );
+
+    console.warn(
+      `Refresh token reuse detected for user ${user._id}, session ${session._id} revoked`
+    );
+
+    throw new ApiError(401, "Refresh token reuse detected");
   }
+
+  /**
+   * Options for setting the access and refresh tokens as cookies.
+   */
+  const options = {
+    httpOnly: false,
+    secure: false,
+  };
+
+  return res
+    .status(200)
+    .cookie("accessToken", accessToken, options)
+    .cookie("refreshToken", refreshToken, options)
+    .json(
+      new ApiResponse(
+        200,
+        {
+          accessToken,
+          refreshToken,
+        },
+        "Access token refreshed successfully"
+      )
+    );
 });
 
 // ---------------------------------------------------------------
@@ -553,13 +1100,15 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
 // ---------------------------------------------------------------
 /**
  * Changes the current user's password.
+ * All other sessions are revoked and access tokens issued before the change stop working;
+ * the current device receives new tokens.
  *
  * @param {Object} req - The request object.
  * @param {Object} req.body - The request body.
  * @param {string} req.body.oldPassword - The user's current password.
  * @param {string} req.body.newPassword - The new password to be set.
  * @param {Object} res - The response object.
- * @returns {Promise<Object>} - A response with a success message.
+ * @returns {Promise<Object>} - A response with the new access and refresh tokens.
  * @throws {ApiError} - If the old password does not match the user's current password.
  */
 const changeCurrentPassword = asyncHandler(async (req, res) => {
@@ -571,8 +1120,6 @@ const changeCurrentPassword = asyncHandler(async (req, res) => {
    */
   const { oldPassword, newPassword } = req.body;
 
-  console.log(req.body);
-
   /**
    * Retrieves the current user from the database based on the user ID in the request.
    *
@@ -601,11 +1148,13 @@ const changeCurrentPassword = asyncHandler(async (req, res) => {
   }
 
   /**
-   * Sets the user's password to the new password provided.
+   * Sets the user's password to the new password provided and bumps the
+   * token version, which invalidates every access token issued so far.
    *
    * @param {string} newPassword - The new password to be set for the user.
    */
   user.password = newPassword;
+  user.tokenVersion = (user.tokenVersion || 0) + 1;
 
   /**
    * Saves the updated user document to the database, skipping the validation checks.
@@ -614,76 +1163,943 @@ const changeCurrentPassword = asyncHandler(async (req, res) => {
    */
   await user.save({ validateBeforeSave: false });
 
+  /**
+   * Revokes the sessions of every other device.
+   */
+  await Session.updateMany(
+    {
+      user: user._id,
+      _id: { $ne: req.sessionId },
+      revokedAt: { $exists: false },
+    },
+    { $set: { revokedAt: new Date(), revokedReason: "password-changed" } }
+  );
+
+  /**
+   * Issues fresh tokens for the current device, since its access token
+   * was invalidated together with all the others.
+   */
+  const { accessToken, refreshToken } = await renewSessionTokens(
+    user,
+    req.sessionId,
+    getClientInfo(req)
+  );
+
+  const options = {
+    httpOnly: false,
+    secure: false,
+  };
+
+  return res
+    .status(200)
+    .cookie("accessToken", accessToken, options)
+    .cookie("refreshToken", refreshToken, options)
+    .json(
+      new ApiResponse(
+        200,
+        { accessToken, refreshToken },
+        "Password changed successfully"
+      )
+    );
+});
+
+// ---------------------------------------------------------------
+// START TWO-FACTOR SETUP
+// ---------------------------------------------------------------
+/**
+ * Generates a new TOTP secret for the current user. Two-factor
+ * authentication is only turned on once a code from the authenticator app
+ * is confirmed with `confirmTwoFactor`.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user object.
+ * @param {Object} res - The response object.
+ * @returns {Promise<ApiResponse>} - The secret and the `otpauth://` URI to show as a QR code.
+ * @throws {ApiError} - If two-factor authentication is already enabled.
+ */
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  if (req.user.isTwoFactorEnabled) {
+    throw new ApiError(409, "Two-factor authentication is already enabled");
+  }
+
+  const secret = generateTotpSecret();
+
+  await User.updateOne(
+    { _id: req.user._id },
+    { $set: { twoFactorPendingSecret: encryptSecret(secret) } }
+  );
+
+  const otpauthUrl = getOtpauthUrl({
+    secret,
+    accountName: req.user.email,
+    issuer: process.env.TWO_FACTOR_ISSUER || TWO_FACTOR_ISSUER,
+  });
+
   return res
     .status(200)
-    .json(new ApiResponse(200, {}, "Password changed successfully"));
+    .json(
+      new ApiResponse(
+        200,
+        { secret, otpauthUrl },
+        "Scan the code with your authenticator app and confirm it"
+      )
+    );
 });
 
 // ---------------------------------------------------------------
-// GET CURRENT USER
+// CONFIRM TWO-FACTOR SETUP
 // ---------------------------------------------------------------
 /**
- * Retrieves the current user from the request and sends a response with the user data.
+ * Turns two-factor authentication on after checking a code generated from
+ * the pending secret, and returns the one-time recovery codes. The codes are
+ * only shown this once.
  *
  * @param {Object} req - The request object.
+ * @param {string} req.body.code - The code from the authenticator app.
  * @param {Object} req.user - The authenticated user object.
- * @param {string} req.user._id - The ID of the authenticated user.
  * @param {Object} res - The response object.
- * @returns {Promise<void>} - A promise that resolves when the response is sent.
+ * @returns {Promise<ApiResponse>} - The recovery codes.
+ * @throws {ApiError} - If there is no pending setup or the code is wrong.
  */
-const getCurrentUser = asyncHandler(async (req, res) => {
+const confirmTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select(
+    "+twoFactorPendingSecret"
+  );
+
+  if (user.isTwoFactorEnabled) {
+    throw new ApiError(409, "Two-factor authentication is already enabled");
+  }
+
+  if (!user.twoFactorPendingSecret) {
+    throw new ApiError(400, "Start the two-factor setup first");
+  }
+
+  const step = verifyTotp(
+    decryptSecret(user.twoFactorPendingSecret),
+    req.body.code
+  );
+
+  if (step === null) {
+    throw new ApiError(400, "Invalid authentication code");
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+
   /**
-   * Sends a response with the current user data.
-   *
-   * @param {Object} req - The request object.
-   * @param {Object} req.user - The authenticated user object.
-   * @param {string} req.user._id - The ID of the authenticated user.
-   * @param {Object} res - The response object.
-   * @returns {Promise<void>} - A promise that resolves when the response is sent.
+   * Only matches while the pending secret is the one that was checked, so a
+   * setup restarted in parallel cannot be confirmed with an old code.
    */
+  const updatedUser = await User.findOneAndUpdate(
+    {
+      _id: user._id,
+      isTwoFactorEnabled: { $ne: true },
+      twoFactorPendingSecret: user.twoFactorPendingSecret,
+    },
+    {
+      $set: {
+        isTwoFactorEnabled: true,
+        twoFactorSecret: user.twoFactorPendingSecret,
+        twoFactorLastUsedStep: step,
+        twoFactorRecoveryCodes: hashes,
+      },
+      $unset: { twoFactorPendingSecret: 1 },
+    }
+  );
 
-  await res
+  if (!updatedUser) {
+    throw new ApiError(409, "Two-factor setup changed, please start again");
+  }
+
+  return res
     .status(200)
-    .json(new ApiResponse(200, req.user, "Fetched current user data"));
+    .json(
+      new ApiResponse(
+        200,
+        { recoveryCodes: codes },
+        "Two-factor authentication enabled"
+      )
+    );
 });
 
 // ---------------------------------------------------------------
+// DISABLE TWO-FACTOR
 // ---------------------------------------------------------------
-const updateAccountDetails = asyncHandler(async (req, res) => {
-  const { fullName, email } = req.body;
-  // TODO: check if user is logged in
+/**
+ * Turns two-factor authentication off. Requires the current password.
+ *
+ * @param {Object} req - The request object.
+ * @param {string} req.body.password - The user's current password.
+ * @param {Object} req.user - The authenticated user object.
+ * @param {Object} res - The response object.
+ * @returns {Promise<ApiResponse>} - A successful API response.
+ * @throws {ApiError} - If the password is wrong or two-factor authentication is off.
+ */
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password } = req.body;
+
+  if (!password) {
+    throw new ApiError(400, "Password is required");
+  }
+
+  const user = await User.findById(req.user._id);
+
+  if (!(await user.isPasswordCorrect(password))) {
+    throw new ApiError(401, "Invalid password");
+  }
+
+  if (!user.isTwoFactorEnabled) {
+    throw new ApiError(400, "Two-factor authentication is not enabled");
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: { isTwoFactorEnabled: false },
+      $unset: {
+        twoFactorSecret: 1,
+        twoFactorPendingSecret: 1,
+        twoFactorLastUsedStep: 1,
+        twoFactorRecoveryCodes: 1,
+        twoFactorChallenges: 1,
+      },
+    }
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Two-factor authentication disabled"));
 });
 
 // ---------------------------------------------------------------
+// VERIFY EMAIL
 // ---------------------------------------------------------------
-const updateUserAvatar = asyncHandler(async (req, res) => {
-  // TODO: check if user is logged in
+/**
+ * Marks the account's email as verified using the token from the verification email.
+ *
+ * @param {Object} req - The request object.
+ * @param {string} req.body.token - The verification token from the email.
+ * @param {Object} res - The response object.
+ * @returns {Promise<ApiResponse>} - A successful API response.
+ * @throws {ApiError} - If the token is invalid or has expired.
+ */
+const verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  if (typeof token !== "string" || !token) {
+    throw new ApiError(400, "Verification token is required");
+  }
+
+  const user = await User.findOneAndUpdate(
+    {
+      emailVerificationTokenHash: hashToken(token),
+      emailVerificationExpiresAt: { $gt: new Date() },
+    },
+    {
+      $set: { isEmailVerified: true },
+      $unset: { emailVerificationTokenHash: 1, emailVerificationExpiresAt: 1 },
+    }
+  );
+
+  if (!user) {
+    throw new ApiError(400, "Verification token is invalid or has expired");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Email verified successfully"));
 });
 
 // ---------------------------------------------------------------
+// RESEND VERIFICATION EMAIL
 // ---------------------------------------------------------------
-const updateUserCoverImage = asyncHandler(async (req, res) => {
-  // TODO: check if user is logged in
+/**
+ * Sends a new verification link to the current user. Rate limited to one
+ * email per cooldown period and a fixed number per day.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user object.
+ * @param {Object} res - The response object.
+ * @returns {Promise<ApiResponse>} - A successful API response.
+ * @throws {ApiError} - If the email is already verified or too many emails were requested.
+ */
+const resendVerificationEmail = asyncHandler(async (req, res) => {
+  if (req.user.isEmailVerified) {
+    throw new ApiError(400, "Email is already verified");
+  }
+
+  await sendVerificationEmail(req.user._id);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Verification email sent"));
 });
 
 // ---------------------------------------------------------------
+// FORGOT PASSWORD
 // ---------------------------------------------------------------
-const getUserChannelProfile = asyncHandler(async (req, res) => {
-  // TODO: check if user is logged in
+/**
+ * Emails a single-use password reset link to the account with the given email.
+ * The response is identical whether or not the email is registered, so the
+ * endpoint cannot be used to find out who has an account.
+ *
+ * @param {Object} req - The request object.
+ * @param {string} req.body.email - The email address of the account.
+ * @param {Object} res - The response object.
+ * @returns {Promise<ApiResponse>} - A successful API response.
+ * @throws {ApiError} - If the email is missing.
+ */
+const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  if (typeof email !== "string" || !email.trim()) {
+    throw new ApiError(400, "Email is required");
+  }
+
+  /**
+   * The lookup, token write and email all run after the response, so its
+   * timing does not reveal whether the email belongs to an account.
+   */
+  sendPasswordResetEmail(email.trim().toLowerCase()).catch((error) =>
+    console.error("Failed to send password reset email:", error)
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        {},
+        "If an account exists for this email, a reset link has been sent"
+      )
+    );
 });
 
 // ---------------------------------------------------------------
+// RESET PASSWORD
 // ---------------------------------------------------------------
-const getWatchHistory = asyncHandler(async (req, res) => {
-  // TODO: check if user is logged in
+/**
+ * Sets a new password using a token from the forgot password email.
+ * The token is consumed, every session is revoked and all access tokens
+ * issued before the reset stop working.
+ *
+ * @param {Object} req - The request object.
+ * @param {string} req.body.token - The reset token from the email.
+ * @param {string} req.body.newPassword - The new password.
+ * @param {Object} res - The response object.
+ * @returns {Promise<ApiResponse>} - A successful API response.
+ * @throws {ApiError} - If the token is invalid, expired or already used.
+ */
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, newPassword } = req.body;
+
+  if (typeof token !== "string" || !token) {
+    throw new ApiError(400, "Reset token is required");
+  }
+
+  if (typeof newPassword !== "string" || !newPassword.trim()) {
+    throw new ApiError(400, "New password is required");
+  }
+
+  /**
+   * Claims the token atomically: only one request can unset it, which makes
+   * the token single-use even under concurrent requests.
+   */
+  const claimedUser = await User.findOneAndUpdate(
+    {
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpiresAt: { $gt: new Date() },
+    },
+    { $unset: { passwordResetTokenHash: 1, passwordResetExpiresAt: 1 } }
+  );
+
+  if (!claimedUser) {
+    throw new ApiError(400, "Reset token is invalid or has expired");
+  }
+
+  const user = await User.findById(claimedUser._id);
+
+  user.password = newPassword;
+  user.hasPassword = true;
+  user.tokenVersion = (user.tokenVersion || 0) + 1;
+  await user.save({ validateBeforeSave: false });
+
+  await Session.updateMany(
+    { user: user._id, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: "password-reset" } }
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        {},
+        "Password has been reset, please log in with your new password"
+      )
+    );
+});
+
+// ---------------------------------------------------------------
+// GET ACTIVE SESSIONS
+// ---------------------------------------------------------------
+/**
+ * Lists the active sessions (logged in devices) of the current user, most recently used first.
+ * The session of the current request is flagged with `isCurrent`.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user object.
+ * @param {Object} res - The response object.
+ * @returns {Promise<ApiResponse>} - A successful API response with the sessions.
+ */
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find({
+    user: req.user._id,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() },
+  })
+    .sort({ lastUsedAt: -1 })
+    .select("userAgent ip createdAt lastUsedAt expiresAt");
+
+  const data = sessions.map((session) => ({
+    ...session.toObject(),
+    isCurrent: session._id.toString() === req.sessionId,
+  }));
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, data, "Sessions fetched successfully"));
+});
+
+// ---------------------------------------------------------------
+// REVOKE A SESSION
+// ---------------------------------------------------------------
+/**
+ * Revokes one of the current user's sessions, logging that device out.
+ * Its refresh token and access tokens stop working immediately.
+ *
+ * @param {Object} req - The request object.
+ * @param {string} req.params.sessionId - The ID of the session to revoke.
+ * @param {Object} req.user - The authenticated user object.
+ * @param {Object} res - The response object.
+ * @returns {Promise<ApiResponse>} - A successful API response.
+ * @throws {ApiError} - If the session does not exist or is already revoked.
+ */
+const revokeSession = asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+
+  if (!isValidObjectId(sessionId)) {
+    throw new ApiError(400, "Invalid session id");
+  }
+
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, user: req.user._id, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: "revoked" } }
+  );
+
+  if (!session) {
+    throw new ApiError(404, "Session not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Session revoked successfully"));
+});
+
+// ---------------------------------------------------------------
+// LOGOUT FROM ALL DEVICES
+// ---------------------------------------------------------------
+/**
+ * Revokes every session of the current user, including this one, and clears the token cookies.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user object.
+ * @param {Object} res - The response object.
+ * @returns {Promise<ApiResponse>} - A successful API response with the number of revoked sessions.
+ */
+const logoutAllSessions = asyncHandler(async (req, res) => {
+  const result = await Session.updateMany(
+    { user: req.user._id, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: "logout-all" } }
+  );
+
+  const options = {
+    httpOnly: true,
+    secure: true,
+  };
+
+  return res
+    .status(200)
+    .clearCookie("accessToken", options)
+    .clearCookie("refreshToken", options)
+    .json(
+      new ApiResponse(
+        200,
+        { revokedSessions: result.modifiedCount },
+        "Logged out from all devices"
+      )
+    );
+});
+
+// ---------------------------------------------------------------
+// GET CURRENT USER
+// ---------------------------------------------------------------
+/**
+ * Retrieves the current user from the request and sends a response with the user data.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user object.
+ * @param {string} req.user._id - The ID of the authenticated user.
+ * @param {Object} res - The response object.
+ * @returns {Promise<void>} - A promise that resolves when the response is sent.
+ */
+const getCurrentUser = asyncHandler(async (req, res) => {
+  /**
+   * Sends a response with the current user data.
+   *
+   * @param {Object} req - The request object.
+   * @param {Object} req.user - The authenticated user object.
+   * @param {string} req.user._id - The ID of the authenticated user.
+   * @param {Object} res - The response object.
+   * @returns {Promise<void>} - A promise that resolves when the response is sent.
+   */
+
+  await res
+    .status(200)
+    .json(new ApiResponse(200, req.user, "Fetched current user data"));
+});
+
+// ---------------------------------------------------------------
+// UPDATE ACCOUNT DETAILS
+// ---------------------------------------------------------------
+/**
+ * Updates the current user's full name and/or email address.
+ *
+ * @param {Object} req - The request object.
+ * @param {string} [req.body.fullName] - The new full name.
+ * @param {string} [req.body.email] - The new email address.
+ * @param {Object} req.user - The authenticated user object.
+ * @param {Object} res - The response object.
+ * @returns {Promise<ApiResponse>} - A successful API response with the updated user.
+ * @throws {ApiError} - If no field is provided or the email is already in use.
+ */
+const updateAccountDetails = asyncHandler(async (req, res) => {
+  const { fullName, email } = req.body;
+
+  if (!fullName?.trim() && !email?.trim()) {
+    throw new ApiError(400, "Full name or email is required");
+  }
+
+  const updates = {};
+
+  if (fullName?.trim()) updates.fullName = fullName.trim();
+
+  if (email?.trim()) {
+    updates.email = email.trim().toLowerCase();
+
+    /**
+     * Makes sure no other account already uses the requested email address.
+     */
+    const isEmailTaken = await User.exists({
+      email: updates.email,
+      _id: { $ne: req.user._id },
+    });
+
+    if (isEmailTaken) {
+      throw new ApiError(409, "Email is already in use");
+    }
+  }
+
+  /**
+   * A changed email address has to be verified again.
+   */
+  const isEmailChanged = updates.email && updates.email !== req.user.email;
+  if (isEmailChanged) updates.isEmailVerified = false;
+
+  const user = await User.findByIdAndUpdate(
+    req.user._id,
+    { $set: updates },
+    { new: true }
+  ).select("-password");
+
+  if (isEmailChanged) {
+    await User.updateOne(
+      { _id: user._id },
+      { $unset: { emailVerificationSentAt: 1, emailVerificationTokenHash: 1 } }
+    );
+    sendVerificationEmail(user._id).catch((error) =>
+      console.error("Failed to send verification email:", error)
+    );
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, user, "Account details updated successfully"));
+});
+
+/**
+ * Uploads a new profile image, stores its URL in `field` (and its asset id
+ * in `<field>AssetId`) and removes the previous image from storage once the
+ * user document has been saved.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} field - Either `avatarImage` or `coverImage`.
+ * @param {string} localFilePath - The local path of the uploaded file.
+ * @returns {Promise<User>} - The updated user, without the password.
+ * @throws {ApiError} - If the file is missing or the upload fails.
+ */
+const replaceProfileImage = async (userId, field, localFilePath) => {
+  if (!localFilePath) {
+    throw new ApiError(400, `${field} file is missing`);
+  }
+
+  const image = await uploadFile(localFilePath);
+
+  if (!image?.url) {
+    throw new ApiError(500, `Error while uploading ${field}`);
+  }
+
+  const assetIdField = `${field}AssetId`;
+  const previous = await User.findById(userId).select(
+    `${field} ${assetIdField}`
+  );
+
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $set: { [field]: image.url, [assetIdField]: image.assetId } },
+    { new: true }
+  ).select("-password");
+
+  if (previous?.[field] && previous[field] !== image.url) {
+    await deleteFile({ assetId: previous[assetIdField], url: previous[field] });
+  }
+
+  return user;
+};
+
+// ---------------------------------------------------------------
+// UPDATE USER AVATAR
+// ---------------------------------------------------------------
+/**
+ * Replaces the current user's avatar image.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} req.file - The uploaded avatar image.
+ * @param {Object} req.user - The authenticated user object.
+ * @param {Object} res - The response object.
+ * @returns {Promise<ApiResponse>} - A successful API response with the updated user.
+ * @throws {ApiError} - If the file is missing or the upload fails.
+ */
+const updateUserAvatar = asyncHandler(async (req, res) => {
+  const user = await replaceProfileImage(
+    req.user._id,
+    "avatarImage",
+    req.file?.path
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, user, "Avatar image updated successfully"));
+});
+
+// ---------------------------------------------------------------
+// UPDATE USER COVER IMAGE
+// ---------------------------------------------------------------
+/**
+ * Replaces the current user's cover image.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} req.file - The uploaded cover image.
+ * @param {Object} req.user - The authenticated user object.
+ * @param {Object} res - The response object.
+ * @returns {Promise<ApiResponse>} - A successful API response with the updated user.
+ * @throws {ApiError} - If the file is missing or the upload fails.
+ */
+const updateUserCoverImage = asyncHandler(async (req, res) => {
+  const user = await replaceProfileImage(
+    req.user._id,
+    "coverImage",
+    req.file?.path
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, user, "Cover image updated successfully"));
+});
+
+// ---------------------------------------------------------------
+// GET USER CHANNEL PROFILE
+// ---------------------------------------------------------------
+/**
+ * Retrieves the public channel profile of a user by username, including
+ * subscriber counts and whether the current user is subscribed.
+ *
+ * @param {Object} req - The request object.
+ * @param {string} req.params.username - The username of the channel.
+ * @param {Object} req.user - The authenticated user object.
+ * @param {Object} res - The response object.
+ * @returns {Promise<ApiResponse>} - A successful API response with the channel profile.
+ * @throws {ApiError} - If the username is missing or the channel does not exist.
+ */
+const getUserChannelProfile = asyncHandler(async (req, res) => {
+  const { username } = req.params;
+
+  if (!username?.trim()) {
+    throw new ApiError(400, "Username is required");
+  }
+
+  /**
+   * Joins the subscriptions in both directions: `subscribers` are the users
+   * following this channel, `subscribedTo` the channels this user follows.
+   */
+  const channel = await User.aggregate([
+    { $match: { userName: username.trim().toLowerCase() } },
+    {
+      $lookup: {
+        from: "subscriptions",
+        localField: "_id",
+        foreignField: "channel",
+        as: "subscribers",
+      },
+    },
+    {
+      $lookup: {
+        from: "subscriptions",
+        localField: "_id",
+        foreignField: "subscriber",
+        as: "subscribedTo",
+      },
+    },
+    {
+      $addFields: {
+        subscribersCount: { $size: "$subscribers" },
+        channelsSubscribedToCount: { $size: "$subscribedTo" },
+        isSubscribed: {
+          $in: [req.user?._id, "$subscribers.subscriber"],
+        },
+      },
+    },
+    {
+      $project: {
+        fullName: 1,
+        userName: 1,
+        avatarImage: 1,
+        coverImage: 1,
+        subscribersCount: 1,
+        channelsSubscribedToCount: 1,
+        isSubscribed: 1,
+        createdAt: 1,
+      },
+    },
+  ]);
+
+  if (!channel?.length) {
+    throw new ApiError(404, "Channel does not exist");
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, channel[0], "User channel fetched successfully")
+    );
+});
+
+// ---------------------------------------------------------------
+// GET WATCH HISTORY
+// ---------------------------------------------------------------
+/**
+ * Retrieves the current user's watch history, most recently watched first.
+ * Each video embeds its owner's public profile. Deleted videos, and
+ * unpublished videos of other channels, are left out.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user object.
+ * @param {Object} res - The response object.
+ * @returns {Promise<ApiResponse>} - A successful API response with the watched videos.
+ */
+const getWatchHistory = asyncHandler(async (req, res) => {
+  /**
+   * Unwinds the history with its array index so the original order survives
+   * the `$lookup`, then joins each video with its owner.
+   */
+  const history = await User.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(req.user._id) } },
+    { $project: { watchHistory: 1 } },
+    { $unwind: { path: "$watchHistory", includeArrayIndex: "position" } },
+    {
+      $lookup: {
+        from: "videos",
+        localField: "watchHistory",
+        foreignField: "_id",
+        as: "video",
+        pipeline: [
+          {
+            $match: {
+              $or: [{ isPublished: true }, { owner: req.user._id }],
+            },
+          },
+          {
+            $lookup: {
+              from: "users",
+              localField: "owner",
+              foreignField: "_id",
+              as: "owner",
+              pipeline: [
+                { $project: { userName: 1, fullName: 1, avatarImage: 1 } },
+              ],
+            },
+          },
+          { $addFields: { owner: { $first: "$owner" } } },
+        ],
+      },
+    },
+    { $unwind: "$video" },
+    { $sort: { position: 1 } },
+    { $replaceRoot: { newRoot: "$video" } },
+  ]);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, history, "Watch history fetched successfully"));
+});
+
+// ---------------------------------------------------------------
+// ADD VIDEO TO WATCH HISTORY
+// ---------------------------------------------------------------
+/**
+ * Records that the current user watched a video. The video is moved to the
+ * front of the history (removing any earlier entry) and the history is capped
+ * at `WATCH_HISTORY_LIMIT` entries, all in a single atomic update.
+ *
+ * @param {Object} req - The request object.
+ * @param {string} req.params.videoId - The ID of the watched video.
+ * @param {Object} req.user - The authenticated user object.
+ * @param {Object} res - The response object.
+ * @returns {Promise<ApiResponse>} - A successful API response.
+ * @throws {ApiError} - If the video id is invalid or the video is not available.
+ */
+const addToWatchHistory = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  const video = await Video.findOne({
+    _id: videoId,
+    $or: [{ isPublished: true }, { owner: req.user._id }],
+  }).select("_id");
+
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  /**
+   * Uses an update pipeline so the de-duplication, the move to front and the
+   * cap happen in one write instead of a `$pull` followed by a `$push`.
+   */
+  await User.updateOne({ _id: req.user._id }, [
+    {
+      $set: {
+        watchHistory: {
+          $slice: [
+            {
+              $concatArrays: [
+                [video._id],
+                {
+                  $filter: {
+                    input: { $ifNull: ["$watchHistory", []] },
+                    cond: { $ne: ["$$this", video._id] },
+                  },
+                },
+              ],
+            },
+            WATCH_HISTORY_LIMIT,
+          ],
+        },
+      },
+    },
+  ]);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Video added to watch history"));
+});
+
+// ---------------------------------------------------------------
+// REMOVE VIDEO FROM WATCH HISTORY
+// ---------------------------------------------------------------
+/**
+ * Removes a single video from the current user's watch history.
+ *
+ * @param {Object} req - The request object.
+ * @param {string} req.params.videoId - The ID of the video to remove.
+ * @param {Object} req.user - The authenticated user object.
+ * @param {Object} res - The response object.
+ * @returns {Promise<ApiResponse>} - A successful API response.
+ * @throws {ApiError} - If the video id is invalid.
+ */
+const removeFromWatchHistory = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  await User.updateOne(
+    { _id: req.user._id },
+    { $pull: { watchHistory: new mongoose.Types.ObjectId(videoId) } }
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Video removed from watch history"));
+});
+
+// ---------------------------------------------------------------
+// CLEAR WATCH HISTORY
+// ---------------------------------------------------------------
+/**
+ * Removes every video from the current user's watch history.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} req.user - The authenticated user object.
+ * @param {Object} res - The response object.
+ * @returns {Promise<ApiResponse>} - A successful API response.
+ */
+const clearWatchHistory = asyncHandler(async (req, res) => {
+  await User.updateOne({ _id: req.user._id }, { $set: { watchHistory: [] } });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Watch history cleared successfully"));
 });
 
 export {
   registerUser,
   loginUser,
+  verifyTwoFactorLogin,
   logoutUser,
   generateTokens,
+  createTwoFactorChallenge,
   refreshAccessToken,
   changeCurrentPassword,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+  getSessions,
+  revokeSession,
+  logoutAllSessions,
   getCurrentUser,
+  updateAccountDetails,
+  updateUserAvatar,
+  updateUserCoverImage,
+  getUserChannelProfile,
+  getWatchHistory,
+  addToWatchHistory,
+  removeFromWatchHistory,
+  clearWatchHistory,
 };
@@ -0,0 +1,744 @@
+import crypto from "crypto";
+import mongoose, { isValidObjectId } from "mongoose";
+import asyncHandler from "../utils/asyncHandler.js";
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import { uploadFile, deleteFile } from "../utils/storage.js";
+import { paginateBeforeLookups } from "../utils/pagination.js";
+import lookupLikes from "../utils/likes.js";
+import parseDateRange from "../utils/dateRange.js";
+import {
+  getSearchTerms,
+  buildTermPattern,
+  highlightText,
+} from "../utils/search.js";
+import { Video } from "../models/video.model.js";
+import { User } from "../models/user.model.js";
+import { View } from "../models/view.model.js";
+import { DailyView } from "../models/dailyView.model.js";
+import { Like } from "../models/like.model.js";
+import { Comment } from "../models/comment.model.js";
+import { VIEW_DEDUP_WINDOW_MINUTES } from "../constants.js";
+
+const SORTABLE_FIELDS = ["createdAt", "views", "duration"];
+
+// Queries shorter than this skip the text index and go straight to fuzzy matching
+const TEXT_SEARCH_MIN_LENGTH = 4;
+const SEARCH_WEIGHTS = { title: 10, description: 4 };
+const SNIPPET_LENGTH = 160;
+
+const BOT_USER_AGENT =
+  /bot|crawl|spider|slurp|curl|wget|python-requests|headless|preview|monitor/i;
+
+/**
+ * Checks whether the given user is the owner of the video.
+ *
+ * @param {Object} video - The video document.
+ * @param {Object} [user] - The authenticated user, if any.
+ * @returns {boolean} - True if the user owns the video.
+ */
+const isVideoOwner = (video, user) => {
+  if (!user || !video?.owner) return false;
+  const ownerId = video.owner._id || video.owner;
+  return ownerId.toString() === user._id.toString();
+};
+
+/**
+ * Aggregation stages shared by video listings: the owner's public profile
+ * and the like count / `isLiked` flag for the viewer.
+ *
+ * @param {Object} [user] - The authenticated user, if any.
+ * @returns {Object[]} - The aggregation stages.
+ */
+const videoDetailsStages = (user) => [
+  {
+    $lookup: {
+      from: "users",
+      localField: "owner",
+      foreignField: "_id",
+      as: "owner",
+      pipeline: [{ $project: { userName: 1, fullName: 1, avatarImage: 1 } }],
+    },
+  },
+  { $addFields: { owner: { $first: "$owner" } } },
+  ...lookupLikes("video", user?._id),
+];
+
+/**
+ * Loads a video by id and makes sure the current user owns it, or holds
+ * `anyPermission` to act on videos of other channels.
+ *
+ * @param {string} videoId - The ID of the video.
+ * @param {Object} user - The authenticated user.
+ * @param {string} [anyPermission] - A permission that overrides ownership.
+ * @returns {Promise<Video>} - The video document.
+ * @throws {ApiError} - If the id is invalid, the video is missing or the user is not the owner.
+ */
+const findOwnedVideo = async (videoId, user, anyPermission) => {
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  const video = await Video.findById(videoId);
+
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  if (
+    !isVideoOwner(video, user) &&
+    !(anyPermission && user.hasPermission(anyPermission))
+  ) {
+    throw new ApiError(403, "You are not allowed to modify this video");
+  }
+
+  return video;
+};
+
+/**
+ * Identifies the viewer for de-duplication: the user id when logged in,
+ * otherwise a hash of the IP address, so raw IPs are never stored. Nothing
+ * the client sends (headers, user agent) is part of the key, since changing
+ * it on every request would count every request as a new view.
+ *
+ * @param {Object} req - The Express request object.
+ * @returns {string} - The viewer key.
+ */
+const getViewerKey = (req) => {
+  if (req.user) return `user:${req.user._id}`;
+
+  const fingerprint = crypto.createHash("sha256").update(req.ip).digest("hex");
+
+  return `anon:${fingerprint}`;
+};
+
+/**
+ * Claims the de-duplication slot for a viewer. Returns true when the view
+ * should be counted: either no recent view exists, or the previous one is
+ * older than the window. The unique index on (video, viewerKey) keeps
+ * concurrent requests from counting the same view twice.
+ *
+ * @param {ObjectId} videoId - The ID of the video.
+ * @param {string} viewerKey - The key returned by `getViewerKey`.
+ * @returns {Promise<boolean>} - Whether the view should be counted.
+ */
+const claimView = async (videoId, viewerKey) => {
+  const windowMinutes =
+    Number(process.env.VIEW_DEDUP_WINDOW_MINUTES) || VIEW_DEDUP_WINDOW_MINUTES;
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + windowMinutes * 60 * 1000);
+
+  try {
+    await View.create({ video: videoId, viewerKey, expiresAt });
+    return true;
+  } catch (error) {
+    if (error?.code !== 11000) throw error;
+  }
+
+  // the TTL monitor runs about once a minute, so expired slots may linger
+  const result = await View.updateOne(
+    { video: videoId, viewerKey, expiresAt: { $lte: now } },
+    { $set: { expiresAt } }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+// ---------------------------------------------------------------
+// GET ALL VIDEOS (PAGINATED)
+// ---------------------------------------------------------------
+/**
+ * Lists published videos with pagination, sorting and an optional owner filter.
+ * Each video carries its like count and whether the current user liked it.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} [req.query.page] - The page number, defaults to 1.
+ * @param {string} [req.query.limit] - The page size, defaults to 10.
+ * @param {string} [req.query.sortBy] - One of `createdAt`, `views` or `duration`.
+ * @param {string} [req.query.sortType] - `asc` or `desc` (default).
+ * @param {string} [req.query.ownerId] - Only list videos of this user id.
+ * @param {string} [req.query.userName] - Only list videos of this username.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response with the paginated videos.
+ * @throws {ApiError} - If the filters are invalid or the channel does not exist.
+ */
+const getAllVideos = asyncHandler(async (req, res) => {
+  const {
+    sortBy = "createdAt",
+    sortType = "desc",
+    ownerId,
+    userName,
+  } = req.query;
+
+  if (!SORTABLE_FIELDS.includes(sortBy)) {
+    throw new ApiError(
+      400,
+      `sortBy must be one of ${SORTABLE_FIELDS.join(", ")}`
+    );
+  }
+
+  if (!["asc", "desc"].includes(sortType)) {
+    throw new ApiError(400, "sortType must be asc or desc");
+  }
+
+  const match = { isPublished: true };
+
+  if (ownerId) {
+    if (!isValidObjectId(ownerId)) {
+      throw new ApiError(400, "Invalid owner id");
+    }
+    match.owner = new mongoose.Types.ObjectId(ownerId);
+  } else if (userName) {
+    const owner = await User.findOne({
+      userName: userName.toLowerCase(),
+    }).select("_id");
+
+    if (!owner) {
+      throw new ApiError(404, "Channel not found");
+    }
+    match.owner = owner._id;
+  }
+
+  /**
+   * Filters and sorts, then attaches the owner's public profile and the likes
+   * to the requested page only. `_id` is used as a tie breaker so pages stay
+   * stable for equal sort keys.
+   */
+  const videos = await paginateBeforeLookups(
+    Video,
+    {
+      match,
+      sort: { [sortBy]: sortType === "asc" ? 1 : -1, _id: -1 },
+      lookups: videoDetailsStages(req.user),
+    },
+    req.query
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, videos, "Videos fetched successfully"));
+});
+
+// ---------------------------------------------------------------
+// SEARCH VIDEOS
+// ---------------------------------------------------------------
+/**
+ * Searches videos by title and description.
+ *
+ * Longer queries use the weighted text index on `Video`; short queries, and
+ * text searches that found nothing, fall back to prefix matching that tolerates
+ * one typo per term. Every result carries highlighted `title` and
+ * `description` snippets. Unpublished videos only show up for their owner.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} req.query.q - The search query.
+ * @param {string} [req.query.ownerId] - Only search videos of this user id.
+ * @param {string} [req.query.minDuration] - Minimum duration in seconds.
+ * @param {string} [req.query.maxDuration] - Maximum duration in seconds.
+ * @param {string} [req.query.from] - Only videos created on or after this date.
+ * @param {string} [req.query.to] - Only videos created on or before this date.
+ * @param {string} [req.query.page] - The page number, defaults to 1.
+ * @param {string} [req.query.limit] - The page size, defaults to 10.
+ * @param {Object} [req.user] - The authenticated user, if any.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response with the paginated results.
+ * @throws {ApiError} - If the query or filters are invalid.
+ */
+const searchVideos = asyncHandler(async (req, res) => {
+  const { q, ownerId, minDuration, maxDuration, from, to } = req.query;
+
+  const query = typeof q === "string" ? q.trim() : "";
+  if (!query) {
+    throw new ApiError(400, "Search query is required");
+  }
+
+  if (query.length > 100) {
+    throw new ApiError(400, "Search query is too long");
+  }
+
+  /**
+   * Common filters shared by both search modes.
+   */
+  const filters = [
+    req.user
+      ? { $or: [{ isPublished: true }, { owner: req.user._id }] }
+      : { isPublished: true },
+  ];
+
+  if (ownerId) {
+    if (!isValidObjectId(ownerId)) {
+      throw new ApiError(400, "Invalid owner id");
+    }
+    filters.push({ owner: new mongoose.Types.ObjectId(ownerId) });
+  }
+
+  if (minDuration !== undefined || maxDuration !== undefined) {
+    const duration = {};
+    if (minDuration !== undefined) duration.$gte = Number(minDuration);
+    if (maxDuration !== undefined) duration.$lte = Number(maxDuration);
+
+    if (Object.values(duration).some(Number.isNaN)) {
+      throw new ApiError(400, "Duration filters must be numbers");
+    }
+    filters.push({ duration });
+  }
+
+  const createdAt = parseDateRange({ from, to });
+  if (createdAt) filters.push({ createdAt });
+
+  const terms = getSearchTerms(query);
+  const patterns = terms.map(buildTermPattern);
+
+  let searchMode = "fuzzy";
+  let videos = null;
+
+  if (query.length >= TEXT_SEARCH_MIN_LENGTH) {
+    searchMode = "text";
+    videos = await paginateBeforeLookups(
+      Video,
+      {
+        match: { $text: { $search: query }, $and: filters },
+        stages: [{ $addFields: { score: { $meta: "textScore" } } }],
+        sort: { score: -1, views: -1, _id: -1 },
+        lookups: videoDetailsStages(req.user),
+      },
+      req.query
+    );
+  }
+
+  if (!videos?.totalDocs) {
+    searchMode = "fuzzy";
+
+    /**
+     * Every term has to match the title or the description; the score mirrors
+     * the text index weights so results rank the same way in both modes.
+     */
+    const termMatches = patterns.map((pattern) => ({
+      $or: [
+        { title: { $regex: pattern, $options: "i" } },
+        { description: { $regex: pattern, $options: "i" } },
+      ],
+    }));
+
+    const termScores = patterns.flatMap((pattern) =>
+      Object.entries(SEARCH_WEIGHTS).map(([field, weight]) => ({
+        $cond: [
+          {
+            $regexMatch: { input: `$${field}`, regex: pattern, options: "i" },
+          },
+          weight,
+          0,
+        ],
+      }))
+    );
+
+    videos = await paginateBeforeLookups(
+      Video,
+      {
+        match: { $and: [...termMatches, ...filters] },
+        stages: [{ $addFields: { score: { $add: termScores } } }],
+        sort: { score: -1, views: -1, _id: -1 },
+        lookups: videoDetailsStages(req.user),
+      },
+      req.query
+    );
+  }
+
+  videos.docs = videos.docs.map((video) => ({
+    ...video,
+    highlights: {
+      title: highlightText(video.title, patterns),
+      description: highlightText(video.description, patterns, SNIPPET_LENGTH),
+    },
+  }));
+  videos.searchMode = searchMode;
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, videos, "Videos fetched successfully"));
+});
+
+// ---------------------------------------------------------------
+// PUBLISH (UPLOAD) A VIDEO
+// ---------------------------------------------------------------
+/**
+ * Stores a video and its thumbnail and creates the video record.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} req.body.title - The title of the video.
+ * @param {string} req.body.description - The description of the video.
+ * @param {Object} req.files.videoFile - The uploaded video file.
+ * @param {Object} req.files.thumbnail - The uploaded thumbnail image.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response with the created video.
+ * @throws {ApiError} - If fields or files are missing, or the upload fails.
+ */
+const publishAVideo = asyncHandler(async (req, res) => {
+  const { title, description } = req.body;
+
+  if ([title, description].some((item) => !item || item.trim() === "")) {
+    throw new ApiError(400, "Title and description are required");
+  }
+
+  const videoLocalPath = req.files?.videoFile?.[0]?.path;
+  const thumbnailLocalPath = req.files?.thumbnail?.[0]?.path;
+
+  if (!videoLocalPath) {
+    throw new ApiError(400, "Video file is required");
+  }
+
+  if (!thumbnailLocalPath) {
+    throw new ApiError(400, "Thumbnail is required");
+  }
+
+  /**
+   * Stores both files. The video upload result carries the duration (in
+   * seconds) when the storage driver can read it.
+   */
+  const [videoFile, thumbnail] = await Promise.all([
+    uploadFile(videoLocalPath),
+    uploadFile(thumbnailLocalPath),
+  ]);
+
+  // removes whichever file was stored, so a failed publish leaves no orphan
+  const deleteUploads = () =>
+    Promise.all([videoFile, thumbnail].filter(Boolean).map(deleteFile));
+
+  if (!videoFile || !thumbnail) {
+    await deleteUploads();
+    throw new ApiError(500, "Error while uploading video files");
+  }
+
+  let video;
+
+  try {
+    video = await Video.create({
+      title: title.trim(),
+      description: description.trim(),
+      videoFile: videoFile.url,
+      videoFileAssetId: videoFile.assetId,
+      thumbnail: thumbnail.url,
+      thumbnailAssetId: thumbnail.assetId,
+      duration: videoFile.duration || 0,
+      owner: req.user._id,
+    });
+  } catch (error) {
+    await deleteUploads();
+    throw error;
+  }
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, video, "Video published successfully"));
+});
+
+// ---------------------------------------------------------------
+// GET VIDEO BY ID
+// ---------------------------------------------------------------
+/**
+ * Retrieves a single video with its owner details and like count.
+ * Unpublished videos are only returned to their owner.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} req.params.videoId - The ID of the video.
+ * @param {Object} [req.user] - The authenticated user, if any.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response with the video.
+ * @throws {ApiError} - If the id is invalid or the video is not visible to the user.
+ */
+const getVideoById = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  const video = await Video.findById(videoId).populate(
+    "owner",
+    "userName fullName avatarImage"
+  );
+
+  if (!video || (!video.isPublished && !isVideoOwner(video, req.user))) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  const [likesCount, isLiked] = await Promise.all([
+    Like.countDocuments({ video: video._id }),
+    req.user ? Like.exists({ video: video._id, likedBy: req.user._id }) : null,
+  ]);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { ...video.toObject(), likesCount, isLiked: Boolean(isLiked) },
+        "Video fetched successfully"
+      )
+    );
+});
+
+// ---------------------------------------------------------------
+// UPDATE VIDEO DETAILS (OWNER ONLY)
+// ---------------------------------------------------------------
+/**
+ * Updates the title, description and/or thumbnail of a video.
+ * The previous thumbnail is removed from storage once the new one is saved.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} req.params.videoId - The ID of the video.
+ * @param {string} [req.body.title] - The new title.
+ * @param {string} [req.body.description] - The new description.
+ * @param {Object} [req.file] - The new thumbnail image.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response with the updated video.
+ * @throws {ApiError} - If nothing is provided to update or the user is not the owner.
+ */
+const updateVideo = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  const { title, description } = req.body;
+  const thumbnailLocalPath = req.file?.path;
+
+  if (!title?.trim() && !description?.trim() && !thumbnailLocalPath) {
+    throw new ApiError(400, "Nothing to update");
+  }
+
+  const video = await findOwnedVideo(videoId, req.user);
+  const oldThumbnail = {
+    assetId: video.thumbnailAssetId,
+    url: video.thumbnail,
+  };
+
+  if (title?.trim()) video.title = title.trim();
+  if (description?.trim()) video.description = description.trim();
+
+  if (thumbnailLocalPath) {
+    const thumbnail = await uploadFile(thumbnailLocalPath);
+
+    if (!thumbnail) {
+      throw new ApiError(500, "Error while uploading thumbnail");
+    }
+
+    video.thumbnail = thumbnail.url;
+    video.thumbnailAssetId = thumbnail.assetId;
+  }
+
+  await video.save();
+
+  if (thumbnailLocalPath) {
+    await deleteFile(oldThumbnail);
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, video, "Video updated successfully"));
+});
+
+// ---------------------------------------------------------------
+// DELETE VIDEO (OWNER OR ADMIN)
+// ---------------------------------------------------------------
+/**
+ * Deletes a video record, its stored files, its likes and its comments
+ * (replies included) with their likes. Admins can delete any video.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} req.params.videoId - The ID of the video.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response.
+ * @throws {ApiError} - If the video is missing or the user is not the owner.
+ */
+const deleteVideo = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  const video = await findOwnedVideo(videoId, req.user, "video:delete:any");
+
+  await Video.findByIdAndDelete(video._id);
+  await Like.deleteMany({ video: video._id });
+
+  // replies carry the video too, so this covers whole threads
+  const commentIds = await Comment.find({ video: video._id }).distinct("_id");
+
+  await Comment.deleteMany({ _id: { $in: commentIds } });
+  await Like.deleteMany({ comment: { $in: commentIds } });
+
+  await deleteFile({ assetId: video.videoFileAssetId, url: video.videoFile });
+  await deleteFile({ assetId: video.thumbnailAssetId, url: video.thumbnail });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Video deleted successfully"));
+});
+
+// ---------------------------------------------------------------
+// TOGGLE PUBLISH STATUS (OWNER ONLY)
+// ---------------------------------------------------------------
+/**
+ * Flips the `isPublished` flag of a video. Videos taken down by a moderator
+ * stay unpublished until a moderator restores them.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} req.params.videoId - The ID of the video.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - A successful API response with the new publish status.
+ * @throws {ApiError} - If the video is missing, taken down or the user is not the owner.
+ */
+const togglePublishStatus = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  const owned = await findOwnedVideo(videoId, req.user);
+
+  // the filter also covers a takedown landing between the two queries
+  const video = await Video.findOneAndUpdate(
+    { _id: owned._id, unpublishedBy: null },
+    [{ $set: { isPublished: { $not: "$isPublished" } } }],
+    { new: true }
+  );
+
+  if (!video) {
+    throw new ApiError(
+      403,
+      "This video was taken down by a moderator and cannot be published"
+    );
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { isPublished: video.isPublished },
+        video.isPublished
+          ? "Video published successfully"
+          : "Video unpublished successfully"
+      )
+    );
+});
+
+// ---------------------------------------------------------------
+// RECORD A VIDEO VIEW
+// ---------------------------------------------------------------
+/**
+ * Counts a view of a video at most once per viewer within the configured
+ * window (`VIEW_DEDUP_WINDOW_MINUTES`). Counted views increment `Video.views`
+ * atomically and the view bucket of the current UTC day.
+ *
+ * Views from bots and from the video owner are not counted unless
+ * `VIEW_COUNT_BOTS=true` or `VIEW_COUNT_OWNER=true` is set.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} req.params.videoId - The ID of the video.
+ * @param {Object} [req.user] - The authenticated user, if any.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - Whether the view was counted and the current view count.
+ * @throws {ApiError} - If the video id is invalid or the video is not visible.
+ */
+const recordVideoView = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  const video = await Video.findById(videoId).select("owner isPublished views");
+
+  if (!video || (!video.isPublished && !isVideoOwner(video, req.user))) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  const isBot = BOT_USER_AGENT.test(req.header("User-Agent") || "");
+  const excluded =
+    (isBot && process.env.VIEW_COUNT_BOTS !== "true") ||
+    (isVideoOwner(video, req.user) && process.env.VIEW_COUNT_OWNER !== "true");
+
+  let counted = false;
+  let views = video.views;
+
+  if (!excluded && (await claimView(video._id, getViewerKey(req)))) {
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+
+    const updated = await Video.findByIdAndUpdate(
+      video._id,
+      { $inc: { views: 1 } },
+      { new: true, projection: { views: 1 } }
+    );
+
+    await DailyView.updateOne(
+      { video: video._id, day: today },
+      { $inc: { views: 1 } },
+      { upsert: true }
+    );
+
+    counted = true;
+    views = updated?.views ?? views + 1;
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { counted, views },
+        counted ? "View recorded" : "View not counted"
+      )
+    );
+});
+
+// ---------------------------------------------------------------
+// GET VIDEO VIEWS OVER TIME (OWNER ONLY)
+// ---------------------------------------------------------------
+/**
+ * Returns the per-day view buckets of a video for its owner.
+ * Defaults to the last 30 days.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} req.params.videoId - The ID of the video.
+ * @param {string} [req.query.from] - First day to include.
+ * @param {string} [req.query.to] - Last day to include.
+ * @param {Object} res - The Express response object.
+ * @returns {ApiResponse} - The total views and the daily buckets.
+ * @throws {ApiError} - If the dates are invalid or the user is not the owner.
+ */
+const getVideoViewStats = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  const video = await findOwnedVideo(videoId, req.user);
+
+  const range = parseDateRange({
+    from: req.query.from,
+    to: req.query.to || new Date(),
+  });
+  const to = range.$lte;
+  const from = range.$gte || new Date(to.getTime() - 29 * 24 * 60 * 60 * 1000);
+
+  from.setUTCHours(0, 0, 0, 0);
+
+  const daily = await DailyView.find({
+    video: video._id,
+    day: { $gte: from, $lte: to },
+  })
+    .sort({ day: 1 })
+    .select("day views -_id");
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { videoId: video._id, totalViews: video.views, from, to, daily },
+        "Video views fetched successfully"
+      )
+    );
+});
+
+export {
+  getAllVideos,
+  searchVideos,
+  publishAVideo,
+  getVideoById,
+  updateVideo,
+  deleteVideo,
+  togglePublishStatus,
+  recordVideoView,
+  getVideoViewStats,
+};
@@ -0,0 +1,36 @@
+import { User } from "../models/user.model.js";
+
+/**
+ * Data migrations run at startup, in order, after the database connection is
+ * up. Each one must be idempotent, since every start runs all of them.
+ */
+const migrations = [
+  {
+    /**
+     * Accounts created before email verification existed have no
+     * `isEmailVerified` field, while newer ones always store it. They are
+     * treated as verified so the unverified-account policy does not lock
+     * them out of uploading and commenting.
+     */
+    name: "verify-pre-existing-emails",
+    up: () =>
+      User.updateMany(
+        { isEmailVerified: { $exists: false } },
+        { $set: { isEmailVerified: true } }
+      ),
+  },
+];
+
+const runMigrations = async () => {
+  for (const migration of migrations) {
+    const result = await migration.up();
+
+    if (result?.modifiedCount) {
+      console.log(
+        `MIGRATION ${migration.name}: ${result.modifiedCount} documents updated`
+      );
+    }
+  }
+};
+
+export default runMigrations;
@@ -1,12 +1,17 @@
 import dotenv from "dotenv";
 import connectDB from "./db/index.js";
+import runMigrations from "./db/migrations.js";
 import app from "./app.js";
+import { checkMailTransport } from "./utils/mailer.js";
 
 dotenv.config({
   path: "./.env",
 });
 
+checkMailTransport();
+
 connectDB()
+  .then(runMigrations)
   .then(() => {
     app.on("error", (err) => {
       console.log(`Server running on port ${process.env.PORT}`, err);
@@ -2,30 +2,163 @@ import jwt from "jsonwebtoken";
 import ApiError from "../utils/ApiError.js";
 import asyncHandler from "../utils/asyncHandler.js";
 import { User } from "../models/user.model.js";
+import { Session } from "../models/session.model.js";
+import { EMAIL_VERIFICATION_REQUIRED_FOR } from "../constants.js";
+
+/**
+ * Reads the access token from the `accessToken` cookie or the
+ * `Authorization: Bearer <token>` header.
+ *
+ * @param {Object} req - The Express request object.
+ * @returns {string|undefined} - The access token, if any.
+ */
+const getAccessToken = (req) =>
+  req.cookies?.accessToken ||
+  req.header("Authorization")?.replace("Bearer ", "");
+
+/**
+ * Verifies an access token and loads its user. Tokens of revoked sessions,
+ * tokens issued before the user's last password change and tokens of banned
+ * users are rejected.
+ *
+ * @param {string} token - The access token.
+ * @returns {Promise<{ user: User, sessionId: string }>} - The user and the token's session id.
+ * @throws {ApiError} - If the token is invalid, revoked or outdated, or the user is banned.
+ */
+const authenticate = async (token) => {
+  const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+
+  const user = await User.findById(decodedToken?._id).select("-password");
+
+  if (!user) {
+    throw new ApiError(401, "Invalid Access Token");
+  }
+
+  if (user.isBanned) {
+    throw new ApiError(403, "Your account has been banned");
+  }
+
+  if ((decodedToken.tv || 0) !== (user.tokenVersion || 0)) {
+    throw new ApiError(401, "Access token is no longer valid");
+  }
+
+  if (decodedToken.sid) {
+    const session = await Session.findById(decodedToken.sid).select(
+      "revokedAt expiresAt"
+    );
+
+    if (!session?.isActive()) {
+      throw new ApiError(401, "Session has expired or was revoked");
+    }
+  }
+
+  return { user, sessionId: decodedToken.sid };
+};
 
 export const verifyJWToken = asyncHandler(async (req, _, next) => {
   try {
-    const token =
-      req.cookies?.accessToken ||
-      req.header("Authorization")?.replace("Bearer ", "");
+    const token = getAccessToken(req);
 
     if (!token) {
       throw new ApiError(401, "Unauthorized request found");
     }
 
-    const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
-
-    const user = await User.findById(decodedToken?._id).select(
-      "-password -refreshToken"
-    );
-
-    if (!user) {
-      throw new ApiError(401, "Invalid Access Token");
-    }
+    const { user, sessionId } = await authenticate(token);
 
     req.user = user;
+    req.sessionId = sessionId;
     next();
   } catch (error) {
+    if (error instanceof ApiError && error.statusCode === 403) throw error;
     throw new ApiError(401, error?.message || "Invalid access token");
   }
 });
+
+/**
+ * Same as `verifyJWToken` but never rejects the request: public routes use it
+ * to know who is asking (e.g. the owner of an unpublished video) while still
+ * serving anonymous visitors. A missing or invalid token leaves `req.user` unset.
+ */
+export const optionalJWToken = asyncHandler(async (req, _, next) => {
+  const token = getAccessToken(req);
+
+  if (token) {
+    try {
+      const { user, sessionId } = await authenticate(token);
+
+      req.user = user;
+      req.sessionId = sessionId;
+    } catch (error) {
+      req.user = undefined;
+    }
+  }
+
+  next();
+});
+
+/**
+ * Blocks users whose email is not verified from the given action, when the
+ * action is listed in `EMAIL_VERIFICATION_REQUIRED_FOR` (comma separated,
+ * defaults to "upload,comment"; set it to "none" to disable the policy).
+ * Must run after `verifyJWToken`.
+ *
+ * @param {string} action - The action being performed, e.g. "upload".
+ * @returns {Function} - The Express middleware.
+ */
+export const requireVerifiedEmail = (action) => (req, _, next) => {
+  const restrictedActions = process.env.EMAIL_VERIFICATION_REQUIRED_FOR
+    ? process.env.EMAIL_VERIFICATION_REQUIRED_FOR.split(",").map((item) =>
+        item.trim()
+      )
+    : EMAIL_VERIFICATION_REQUIRED_FOR;
+
+  if (restrictedActions.includes(action) && !req.user?.isEmailVerified) {
+    return next(
+      new ApiError(403, `Please verify your email address before you ${action}`)
+    );
+  }
+
+  next();
+};
+
+/**
+ * Allows the request only when the user has one of the given roles.
+ * Must run after `verifyJWToken`.
+ *
+ * @param {...string} roles - The accepted roles, e.g. "admin".
+ * @returns {Function} - The Express middleware.
+ */
+export const requireRole =
+  (...roles) =>
+  (req, _, next) => {
+    if (!roles.includes(req.user?.role)) {
+      return next(
+        new ApiError(403, "You are not allowed to perform this action")
+      );
+    }
+
+    next();
+  };
+
+/**
+ * Allows the request only when the user holds every given permission,
+ * either through their role or as an extra grant.
+ * Must run after `verifyJWToken`.
+ *
+ * @param {...string} permissions - The required permissions, e.g. "video:delete:any".
+ * @returns {Function} - The Express middleware.
+ */
+export const requirePermission =
+  (...permissions) =>
+  (req, _, next) => {
+    if (
+      !req.user ||
+      !permissions.every((permission) => req.user.hasPermission(permission))
+    ) {
+      return next(
+        new ApiError(403, "You are not allowed to perform this action")
+      );
+    }
+
+    next();
+  };
@@ -0,0 +1,105 @@
+import mongoose from "mongoose";
+import jwt from "jsonwebtoken";
+import multer from "multer";
+import ApiError from "../utils/ApiError.js";
+
+/**
+ * Converts any thrown value into an `ApiError`, mapping the errors of our
+ * libraries to the matching 4xx status with field level details.
+ *
+ * @param {*} err - The error passed to `next`.
+ * @returns {ApiError} - The error to send.
+ */
+const toApiError = (err) => {
+  if (err instanceof ApiError) return err;
+
+  if (err instanceof mongoose.Error.ValidationError) {
+    return new ApiError(
+      400,
+      "Validation failed",
+      Object.values(err.errors).map((error) => ({
+        field: error.path,
+        message: error.message,
+      }))
+    );
+  }
+
+  if (err instanceof mongoose.Error.CastError) {
+    return new ApiError(400, `Invalid value for ${err.path}`, [
+      { field: err.path, message: `Invalid value "${err.value}"` },
+    ]);
+  }
+
+  if (err?.code === 11000) {
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
+    return new ApiError(
+      409,
+      fields.length ? `${fields.join(", ")} already exists` : "Duplicate value",
+      fields.map((field) => ({ field, message: `${field} already exists` }))
+    );
+  }
+
+  if (err instanceof jwt.TokenExpiredError) {
+    return new ApiError(401, "Token has expired");
+  }
+
+  if (err instanceof jwt.JsonWebTokenError) {
+    return new ApiError(401, "Invalid token");
+  }
+
+  if (err instanceof multer.MulterError) {
+    return new ApiError(
+      err.code === "LIMIT_FILE_SIZE" ? 413 : 400,
+      err.message,
+      err.field ? [{ field: err.field, message: err.message }] : []
+    );
+  }
+
+  // errors of Express and body-parser, e.g. malformed JSON or a body too large
+  const status = err?.status || err?.statusCode;
+  if (status >= 400 && status < 500) {
+    return new ApiError(
+      status,
+      err.type === "entity.parse.failed" ? "Malformed JSON body" : err.message
+    );
+  }
+
+  return new ApiError(500, err?.message || "Internal server error");
+};
+
+/**
+ * Answers unknown routes with a JSON 404. Registered after all the routers.
+ */
+export const notFoundHandler = (req, _, next) => {
+  next(new ApiError(404, `Route ${req.method} ${req.originalUrl} not found`));
+};
+
+/**
+ * Sends every error in the same envelope as `ApiResponse`:
+ * `{ statusCode, data, message, success: false, errors }`.
+ * Unexpected errors are logged; in production their message and every
+ * stack trace are hidden from the client. Express recognizes error handlers
+ * by their four arguments, so `next` must stay in the signature.
+ */
+export const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) return next(err);
+
+  const error = toApiError(err);
+  const isProduction = process.env.NODE_ENV === "production";
+
+  if (error.statusCode >= 500) {
+    console.error(`${req.method} ${req.originalUrl} failed:`, err);
+  }
+
+  return res.status(error.statusCode).json({
+    statusCode: error.statusCode,
+    data: null,
+    message:
+      isProduction && error.statusCode >= 500
+        ? "Internal server error"
+        : error.message,
+    success: false,
+    errors: error.errors || [],
+    ...(isProduction ? {} : { stack: err?.stack }),
+  });
+};
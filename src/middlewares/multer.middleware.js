@@ -1,12 +1,156 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
 import multer from "multer";
+import ApiError from "../utils/ApiError.js";
+import { detectFileType, FILE_SIGNATURE_LENGTH } from "../utils/fileType.js";
+import {
+  UPLOAD_FILE_KINDS,
+  UPLOAD_FIELDS,
+  UPLOAD_TEMP_DIR_NAME,
+} from "../constants.js";
 
-const diskStorage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, "./public/temp/uploads");
+/**
+ * Temp files live outside `public`, so they are never served by
+ * `express.static`.
+ */
+const getUploadDir = () =>
+  process.env.UPLOAD_TEMP_DIR || path.join(os.tmpdir(), UPLOAD_TEMP_DIR_NAME);
+
+/**
+ * Multer storage writing each file under a random name and checking it
+ * while it streams: the write is aborted as soon as the file exceeds the
+ * size cap of its field, and the file is refused unless its content (not
+ * its name or declared type) is one of the field's accepted types.
+ */
+const tempFileStorage = {
+  _handleFile: (req, file, cb) => {
+    const kind = UPLOAD_FILE_KINDS[UPLOAD_FIELDS[file.fieldname]];
+    const maxBytes = kind.maxSizeMB * 1024 * 1024;
+    const destination = getUploadDir();
+    const filename = crypto.randomBytes(16).toString("hex");
+    const filePath = path.join(destination, filename);
+
+    fs.mkdir(destination, { recursive: true, mode: 0o700 }, (mkdirError) => {
+      if (mkdirError) return cb(mkdirError);
+
+      const output = fs.createWriteStream(filePath, {
+        flags: "wx",
+        mode: 0o600,
+      });
+      let size = 0;
+      let signature = Buffer.alloc(0);
+      let isDone = false;
+
+      const done = (error, info) => {
+        if (isDone) return;
+        isDone = true;
+
+        if (!error) return cb(null, info);
+
+        file.stream.unpipe(output);
+        file.stream.resume();
+        output.destroy();
+        fs.rm(filePath, { force: true }, () => cb(error));
+      };
+
+      const checkType = () => {
+        const mimetype = detectFileType(signature);
+        if (kind.mimeTypes.includes(mimetype)) return mimetype;
+
+        done(
+          new ApiError(
+            415,
+            `${file.fieldname} must be a file of type ${kind.mimeTypes.join(", ")}`
+          )
+        );
+        return null;
+      };
+
+      file.stream.on("data", (chunk) => {
+        size += chunk.length;
+
+        if (size > maxBytes) {
+          return done(
+            new multer.MulterError("LIMIT_FILE_SIZE", file.fieldname)
+          );
+        }
+
+        if (signature.length < FILE_SIGNATURE_LENGTH) {
+          signature = Buffer.concat([
+            signature,
+            chunk.subarray(0, FILE_SIGNATURE_LENGTH - signature.length),
+          ]);
+          if (signature.length === FILE_SIGNATURE_LENGTH) checkType();
+        }
+      });
+
+      output.on("error", done);
+      output.on("finish", () => {
+        const mimetype = checkType();
+        if (!mimetype) return;
+
+        // the detected type replaces the one declared by the client
+        done(null, { destination, filename, path: filePath, size, mimetype });
+      });
+
+      file.stream.pipe(output);
+    });
   },
-  filename: (req, file, cb) => {
-    cb(null, file.originalname);
+
+  _removeFile: (req, file, cb) => {
+    fs.rm(file.path, { force: true }, () => cb(null));
+  },
+};
+
+const multerUpload = multer({
+  storage: tempFileStorage,
+  limits: { files: 5, fields: 20, fieldSize: 64 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const kind = UPLOAD_FIELDS[file.fieldname];
+
+    if (!kind) {
+      return cb(
+        new multer.MulterError("LIMIT_UNEXPECTED_FILE", file.fieldname)
+      );
+    }
+
+    if (!file.mimetype?.startsWith(`${kind}/`)) {
+      return cb(new ApiError(415, `${file.fieldname} must be a ${kind} file`));
+    }
+
+    cb(null, true);
   },
 });
 
-export const upload = multer({ storage: diskStorage });
+/**
+ * Removes the request's temp files once the response is sent or the
+ * connection is lost, so they are cleaned up however the request ended,
+ * including when a controller throws after the upload.
+ */
+const removeTempFilesOnClose = (req, res, next) => {
+  res.on("close", () => {
+    const files = [
+      req.file,
+      ...(Array.isArray(req.files)
+        ? req.files
+        : Object.values(req.files || {}).flat()),
+    ];
+
+    files
+      .filter((file) => file?.path)
+      .forEach((file) => fs.rm(file.path, { force: true }, () => {}));
+  });
+
+  next();
+};
+
+/**
+ * Upload middlewares, used like multer's: `upload.single("thumbnail")` or
+ * `upload.fields([{ name: "videoFile", maxCount: 1 }])`.
+ */
+export const upload = {
+  single: (name) => [removeTempFilesOnClose, multerUpload.single(name)],
+  fields: (fields) => [removeTempFilesOnClose, multerUpload.fields(fields)],
+};
@@ -0,0 +1,77 @@
+import ApiError from "../utils/ApiError.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import { consumeRateLimit } from "../utils/rateLimiter.js";
+import { RATE_LIMIT_POLICIES } from "../constants.js";
+
+/**
+ * Identifies the client a request is counted for. Behind a proxy, `req.ip`
+ * is only the client's address when `TRUST_PROXY` is set (see `app.js`).
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string|Function} keyBy - "ip", "user" (the IP for anonymous requests) or a function of the request.
+ * @returns {string} - The client key.
+ */
+const getClientKey = (req, keyBy) => {
+  if (typeof keyBy === "function") return `custom:${keyBy(req)}`;
+  if (keyBy === "user" && req.user) return `user:${req.user._id}`;
+  return `ip:${req.ip}`;
+};
+
+/**
+ * Builds a middleware limiting how often a client may call the route, e.g.
+ * `rateLimit("login")` or
+ * `rateLimit({ name: "search", limit: 60, windowSeconds: 60, keyBy: "user" })`.
+ * Routes sharing a policy name share their limit. Limits keyed by user must
+ * come after `verifyJWToken` (or `optionalJWToken`), and before multer so
+ * refused uploads are never written to disk.
+ *
+ * Every response carries the `RateLimit-Policy`, `RateLimit-Limit`,
+ * `RateLimit-Remaining` and `RateLimit-Reset` headers; refused requests get
+ * a 429 with `Retry-After`.
+ *
+ * @param {string|Object} policy - A policy name of `RATE_LIMIT_POLICIES`, or a policy `{ name, limit, windowSeconds, keyBy }`.
+ * @returns {Function} - The Express middleware.
+ * @throws {Error} - If the policy is unknown or incomplete.
+ */
+const rateLimit = (policy) => {
+  const {
+    name,
+    limit,
+    windowSeconds,
+    keyBy = "ip",
+  } = typeof policy === "string"
+    ? { name: policy, ...RATE_LIMIT_POLICIES[policy] }
+    : policy;
+
+  if (!name || !limit || !windowSeconds) {
+    throw new Error(`Invalid rate limit policy "${name}"`);
+  }
+
+  return asyncHandler(async (req, res, next) => {
+    const { allowed, remaining, resetMs, retryAfterMs } =
+      await consumeRateLimit(`${name}:${getClientKey(req, keyBy)}`, {
+        limit,
+        windowMs: windowSeconds * 1000,
+      });
+
+    res.set({
+      "RateLimit-Policy": `${limit};w=${windowSeconds}`,
+      "RateLimit-Limit": String(limit),
+      "RateLimit-Remaining": String(remaining),
+      "RateLimit-Reset": String(Math.ceil(resetMs / 1000)),
+    });
+
+    if (!allowed) {
+      const retryAfter = Math.ceil(retryAfterMs / 1000);
+      res.set("Retry-After", String(retryAfter));
+      throw new ApiError(
+        429,
+        `Too many requests, try again in ${retryAfter} seconds`
+      );
+    }
+
+    next();
+  });
+};
+
+export { rateLimit };
@@ -0,0 +1,272 @@
+import ApiError from "../utils/ApiError.js";
+
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Coerces a raw value (query strings and multipart fields are always
+ * strings) to the rule's type.
+ *
+ * @param {*} value - The raw value.
+ * @param {Object} rule - The field rule.
+ * @returns {{ value: *, error?: string }} - The coerced value or a type error.
+ */
+const coerce = (value, rule) => {
+  switch (rule.type) {
+    case "string":
+    case "objectId": {
+      if (typeof value !== "string" && typeof value !== "number") {
+        return { error: "must be a string" };
+      }
+      let text = String(value);
+      if (rule.trim !== false) text = text.trim();
+      if (rule.lowercase) text = text.toLowerCase();
+      if (rule.type === "objectId" && !OBJECT_ID_PATTERN.test(text)) {
+        return { error: "must be a valid id" };
+      }
+      return { value: text };
+    }
+    case "number":
+    case "integer": {
+      const number =
+        typeof value === "string" && value.trim() !== ""
+          ? Number(value)
+          : value;
+      if (typeof number !== "number" || !Number.isFinite(number)) {
+        return { error: "must be a number" };
+      }
+      if (rule.type === "integer" && !Number.isInteger(number)) {
+        return { error: "must be an integer" };
+      }
+      return { value: number };
+    }
+    case "boolean": {
+      if (typeof value === "boolean") return { value };
+      if (value === "true" || value === "1") return { value: true };
+      if (value === "false" || value === "0") return { value: false };
+      return { error: "must be true or false" };
+    }
+    case "date": {
+      const date = new Date(value);
+      if (
+        (typeof value !== "string" && typeof value !== "number") ||
+        Number.isNaN(date.getTime())
+      ) {
+        return { error: "must be a valid date" };
+      }
+      return { value: date };
+    }
+    case "array": {
+      // `?tag=a` and `?tag=a&tag=b` arrive as a string and an array
+      return { value: Array.isArray(value) ? value : [value] };
+    }
+    default:
+      return { value };
+  }
+};
+
+/**
+ * Checks a single value against its rule.
+ *
+ * @param {*} rawValue - The value sent by the client.
+ * @param {Object} rule - The field rule.
+ * @param {Object} data - All values of the same location, for `custom` checks.
+ * @returns {{ value: *, errors: string[] }} - The coerced value and the error messages.
+ */
+const checkValue = (rawValue, rule, data) => {
+  const isEmpty =
+    rawValue === undefined ||
+    rawValue === null ||
+    (typeof rawValue === "string" &&
+      rawValue.trim() === "" &&
+      !rule.allowEmpty);
+
+  if (isEmpty) {
+    const custom = rule.custom?.(undefined, data);
+    if (custom) return { value: undefined, errors: [custom] };
+    if (rule.required) return { value: undefined, errors: ["is required"] };
+    return { value: rule.default, errors: [] };
+  }
+
+  const { value, error } = coerce(rawValue, rule);
+  if (error) return { value: rawValue, errors: [error] };
+
+  const errors = [];
+  const length = typeof value === "string" || Array.isArray(value);
+
+  if (length && rule.minLength !== undefined && value.length < rule.minLength) {
+    errors.push(
+      Array.isArray(value)
+        ? `must contain at least ${rule.minLength} items`
+        : `must be at least ${rule.minLength} characters`
+    );
+  }
+  if (length && rule.maxLength !== undefined && value.length > rule.maxLength) {
+    errors.push(
+      Array.isArray(value)
+        ? `must contain at most ${rule.maxLength} items`
+        : `must be at most ${rule.maxLength} characters`
+    );
+  }
+  if (rule.min !== undefined && value < rule.min) {
+    errors.push(`must be at least ${rule.min}`);
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    errors.push(`must be at most ${rule.max}`);
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    errors.push(`must be one of: ${rule.enum.join(", ")}`);
+  }
+  if (rule.format === "email" && !EMAIL_PATTERN.test(value)) {
+    errors.push("must be a valid email address");
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    errors.push(rule.patternMessage || "has an invalid format");
+  }
+
+  let result = value;
+
+  if (rule.type === "array" && rule.items) {
+    result = value.map((item, index) => {
+      const checked = checkValue(item, { required: true, ...rule.items }, data);
+      errors.push(...checked.errors.map((message) => `[${index}] ${message}`));
+      return checked.value;
+    });
+  }
+
+  const custom = errors.length ? null : rule.custom?.(result, data);
+  if (custom) errors.push(custom);
+
+  return { value: result, errors };
+};
+
+/**
+ * Collects the uploaded files by field name, whatever multer mode was used
+ * (`single`, `array` or `fields`).
+ *
+ * @param {Object} req - The Express request object.
+ * @returns {Object<string, Object[]>} - The files of every field.
+ */
+const getUploadedFiles = (req) => {
+  const files = {};
+  const add = (file) => {
+    files[file.fieldname] = [...(files[file.fieldname] || []), file];
+  };
+
+  if (req.file) add(req.file);
+  if (Array.isArray(req.files)) req.files.forEach(add);
+  else if (req.files) Object.values(req.files).flat().forEach(add);
+
+  return files;
+};
+
+/**
+ * Checks the uploaded files against their rules: presence, count and
+ * declared MIME type (e.g. `"image/"` accepts any image).
+ *
+ * @param {Object<string, Object[]>} files - The uploaded files by field.
+ * @param {Object} rules - The file rules by field.
+ * @returns {{ field: string, message: string }[]} - The errors.
+ */
+const checkFiles = (files, rules) => {
+  const errors = [];
+
+  for (const [field, rule] of Object.entries(rules)) {
+    const fieldFiles = files[field] || [];
+
+    if (!fieldFiles.length) {
+      if (rule.required)
+        errors.push({ field, message: `${field} is required` });
+      continue;
+    }
+
+    if (rule.maxCount && fieldFiles.length > rule.maxCount) {
+      errors.push({
+        field,
+        message: `${field} accepts at most ${rule.maxCount} file(s)`,
+      });
+    }
+
+    if (
+      rule.mimeTypes &&
+      fieldFiles.some(
+        (file) =>
+          !rule.mimeTypes.some((type) =>
+            type.endsWith("/")
+              ? file.mimetype?.startsWith(type)
+              : file.mimetype === type
+          )
+      )
+    ) {
+      errors.push({
+        field,
+        message: `${field} must be of type ${rule.mimeTypes.join(", ")}`,
+      });
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Builds a middleware validating the request against a declarative schema,
+ * e.g. `validate({ params: { videoId: { type: "objectId", required: true } } })`.
+ *
+ * `body`, `params` and `query` map field names to rules:
+ * - `type`: "string" (default), "number", "integer", "boolean", "date",
+ *   "objectId" or "array" (with an `items` rule); values are coerced to it
+ * - `required`, `default`; empty strings count as missing unless `allowEmpty`
+ * - `trim` (on by default for strings), `lowercase`
+ * - `minLength` / `maxLength`, `min` / `max`, `enum`, `format: "email"`,
+ *   `pattern` with an optional `patternMessage`
+ * - `custom(value, data)` returning an error message, for rules spanning fields
+ *
+ * `files` maps upload field names to `{ required, maxCount, mimeTypes }`.
+ *
+ * The coerced values replace the raw ones on the request. Every problem is
+ * reported at once as a 400 `ApiError` whose `errors` list the fields.
+ *
+ * @param {Object} schema - The rules per location.
+ * @returns {Function} - The Express middleware.
+ */
+const validate = (schema) => (req, _, next) => {
+  const errors = [];
+
+  for (const location of ["params", "query", "body"]) {
+    if (!schema[location]) continue;
+
+    const data = req[location] || {};
+
+    for (const [field, rule] of Object.entries(schema[location])) {
+      const fieldRule = { type: "string", ...rule };
+      const { value, errors: fieldErrors } = checkValue(
+        data[field],
+        fieldRule,
+        data
+      );
+
+      fieldErrors.forEach((message) =>
+        errors.push({ location, field, message: `${field} ${message}` })
+      );
+
+      if (value === undefined) delete data[field];
+      else data[field] = value;
+    }
+
+    req[location] = data;
+  }
+
+  const files = getUploadedFiles(req);
+
+  if (schema.files) {
+    checkFiles(files, schema.files).forEach((error) =>
+      errors.push({ location: "files", ...error })
+    );
+  }
+
+  if (!errors.length) return next();
+
+  next(new ApiError(400, errors[0].message, errors));
+};
+
+export default validate;
@@ -0,0 +1,35 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+/**
+ * Security relevant events, e.g. account lockouts.
+ */
+const auditLogSchema = new Schema(
+  {
+    // e.g. "login-lockout"
+    event: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      index: true,
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+    details: {
+      type: Schema.Types.Mixed,
+    },
+  },
+  { timestamps: true }
+);
+
+auditLogSchema.plugin(mongooseAggregatePaginate);
+
+export const AuditLog = mongoose.model("AuditLog", auditLogSchema);
@@ -0,0 +1,29 @@
+import mongoose, { Schema } from "mongoose";
+
+/**
+ * Counted views of a video bucketed per UTC day, used for the owner's
+ * views-over-time chart.
+ */
+const dailyViewSchema = new Schema(
+  {
+    video: {
+      type: Schema.Types.ObjectId,
+      ref: "Video",
+      required: true,
+    },
+    // midnight UTC of the bucket's day
+    day: {
+      type: Date,
+      required: true,
+    },
+    views: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+dailyViewSchema.index({ video: 1, day: 1 }, { unique: true });
+
+export const DailyView = mongoose.model("DailyView", dailyViewSchema);
@@ -0,0 +1,51 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+/**
+ * A like targets exactly one of `video`, `comment` or `post`.
+ */
+const likeSchema = new Schema(
+  {
+    video: {
+      type: Schema.Types.ObjectId,
+      ref: "Video",
+    },
+    comment: {
+      type: Schema.Types.ObjectId,
+      ref: "Comment",
+    },
+    post: {
+      type: Schema.Types.ObjectId,
+      ref: "Post",
+    },
+    likedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// one like per user and target
+["video", "comment", "post"].forEach((target) => {
+  likeSchema.index(
+    { [target]: 1, likedBy: 1 },
+    {
+      unique: true,
+      partialFilterExpression: { [target]: { $exists: true } },
+    }
+  );
+});
+
+likeSchema.pre("validate", function (next) {
+  const targets = ["video", "comment", "post"].filter((target) => this[target]);
+  if (targets.length !== 1) {
+    return next(new Error("A like must target exactly one item"));
+  }
+  next();
+});
+
+likeSchema.plugin(mongooseAggregatePaginate);
+
+export const Like = mongoose.model("Like", likeSchema);
@@ -0,0 +1,33 @@
+import mongoose, { Schema } from "mongoose";
+
+/**
+ * Failed login counter for an account or an IP address, used by the
+ * MongoDB login attempt store.
+ */
+const loginAttemptSchema = new Schema(
+  {
+    // e.g. "user:<id>", "login:<identifier>" or "ip:<address>"
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    lockedUntil: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// counters without recent failures are removed by MongoDB
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema);
@@ -0,0 +1,38 @@
+import mongoose, { Schema } from "mongoose";
+
+/**
+ * An external identity (e.g. a Google or GitHub account) linked to a user.
+ */
+const oauthAccountSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    // the user's id at the provider
+    providerUserId: {
+      type: String,
+      required: true,
+    },
+    email: {
+      type: String,
+      lowercase: true,
+    },
+    lastLoginAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+// an identity belongs to one user, and a user has one identity per provider
+oauthAccountSchema.index({ provider: 1, providerUserId: 1 }, { unique: true });
+oauthAccountSchema.index({ user: 1, provider: 1 }, { unique: true });
+
+export const OAuthAccount = mongoose.model("OAuthAccount", oauthAccountSchema);
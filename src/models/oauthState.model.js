@@ -0,0 +1,48 @@
+import mongoose, { Schema } from "mongoose";
+
+/**
+ * A pending OAuth2 authorization: created when the user is sent to the
+ * provider and consumed, once, by the callback. Holds the PKCE verifier and,
+ * when an identity is being linked, the account it is linked to.
+ */
+const oauthStateSchema = new Schema(
+  {
+    stateHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    // hash of the nonce cookie of the browser that started the flow
+    nonceHash: {
+      type: String,
+      required: true,
+    },
+    codeVerifier: {
+      type: String,
+      required: true,
+    },
+    redirectUri: {
+      type: String,
+      required: true,
+    },
+    // set when a logged in user links a provider to their account
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// abandoned authorizations are removed by MongoDB
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const OAuthState = mongoose.model("OAuthState", oauthStateSchema);
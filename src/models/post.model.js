@@ -0,0 +1,31 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+const postSchema = new Schema(
+  {
+    content: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    image: {
+      type: String,
+    },
+    // storage id of the image, used to delete it (see utils/storage.js)
+    imageAssetId: {
+      type: String,
+    },
+    owner: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+postSchema.index({ owner: 1, createdAt: -1 });
+
+postSchema.plugin(mongooseAggregatePaginate);
+
+export const Post = mongoose.model("Post", postSchema);
@@ -0,0 +1,35 @@
+import mongoose, { Schema } from "mongoose";
+
+/**
+ * Token bucket of a rate limit key, used by the MongoDB rate limit store.
+ */
+const rateLimitSchema = new Schema({
+  // e.g. "login:ip:<address>" or "upload:user:<id>"
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  tokens: {
+    type: Number,
+    required: true,
+  },
+  refilledAt: {
+    type: Date,
+    required: true,
+  },
+  // whether the last request was allowed
+  allowed: {
+    type: Boolean,
+  },
+  // when the bucket is full again and can be forgotten
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// full buckets are removed by MongoDB
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const RateLimit = mongoose.model("RateLimit", rateLimitSchema);
@@ -0,0 +1,53 @@
+import mongoose, { Schema } from "mongoose";
+
+/**
+ * One session per login (device). The session is the refresh token family:
+ * every refresh rotates the token and only the hash of the latest one is
+ * kept, so presenting an older token of the family means it was stolen and
+ * the whole session is revoked.
+ */
+const sessionSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+    userAgent: {
+      type: String,
+    },
+    ip: {
+      type: String,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    // e.g. "logout", "reuse-detected"
+    revokedReason: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+// expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+export const Session = mongoose.model("Session", sessionSchema);
@@ -0,0 +1,27 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+const subscriptionSchema = new Schema(
+  {
+    // the user who subscribes
+    subscriber: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // the user (channel) being subscribed to
+    channel: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+subscriptionSchema.index({ subscriber: 1, channel: 1 }, { unique: true });
+subscriptionSchema.index({ channel: 1, createdAt: -1 });
+
+subscriptionSchema.plugin(mongooseAggregatePaginate);
+
+export const Subscription = mongoose.model("Subscription", subscriptionSchema);
@@ -1,6 +1,9 @@
 import mongoose, { Schema } from "mongoose";
+import crypto from "crypto";
 import jwt from "jsonwebtoken";
 import bcrypt from "bcryptjs";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { USER_ROLES, ROLE_PERMISSIONS } from "../constants.js";
 
 const userSchema = new Schema(
   {
@@ -35,6 +38,13 @@ const userSchema = new Schema(
     coverImage: {
       type: String,
     },
+    // storage ids of the images, used to delete them (see utils/storage.js)
+    avatarImageAssetId: {
+      type: String,
+    },
+    coverImageAssetId: {
+      type: String,
+    },
     watchHistory: [
       {
         type: Schema.Types.ObjectId,
@@ -45,8 +55,109 @@ const userSchema = new Schema(
       type: String,
       required: [true, "Password is required"],
     },
-    refreshToken: {
+    // false for accounts created by a social login until the user sets a password
+    hasPassword: {
+      type: Boolean,
+      default: true,
+    },
+    // bumped to invalidate every access token issued before (e.g. password change)
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
+    role: {
+      type: String,
+      enum: USER_ROLES,
+      default: "user",
+    },
+    // granted on top of the role's permissions
+    permissions: [
+      {
+        type: String,
+      },
+    ],
+    isBanned: {
+      type: Boolean,
+      default: false,
+    },
+    bannedAt: {
+      type: Date,
+    },
+    banReason: {
+      type: String,
+    },
+    bannedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    isEmailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerificationTokenHash: {
+      type: String,
+      select: false,
+    },
+    emailVerificationExpiresAt: {
+      type: Date,
+      select: false,
+    },
+    // used to rate limit verification emails
+    emailVerificationSentAt: {
+      type: Date,
+      select: false,
+    },
+    emailVerificationSendCount: {
+      type: Number,
+      default: 0,
+      select: false,
+    },
+    emailVerificationWindowStart: {
+      type: Date,
+      select: false,
+    },
+    isTwoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    // TOTP secret, encrypted; the pending one waits for the confirmation code
+    twoFactorSecret: {
+      type: String,
+      select: false,
+    },
+    twoFactorPendingSecret: {
+      type: String,
+      select: false,
+    },
+    // last accepted TOTP time step, so a code cannot be used twice
+    twoFactorLastUsedStep: {
+      type: Number,
+      select: false,
+    },
+    // hashes of the unused one-time recovery codes
+    twoFactorRecoveryCodes: {
+      type: [String],
+      select: false,
+    },
+    // hashes of the challenges returned by logins waiting for the second factor
+    twoFactorChallenges: {
+      type: [
+        {
+          hash: { type: String, required: true },
+          expiresAt: { type: Date, required: true },
+          _id: false,
+        },
+      ],
+      select: false,
+    },
+    // hash of the single-use token sent by the forgot password flow
+    passwordResetTokenHash: {
       type: String,
+      select: false,
+    },
+    passwordResetExpiresAt: {
+      type: Date,
+      select: false,
     },
   },
   { timestamps: true }
@@ -54,7 +165,7 @@ const userSchema = new Schema(
 
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) {
-    next();
+    return next();
   }
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
@@ -64,10 +175,20 @@ userSchema.methods.isPasswordCorrect = async function (password) {
   return await bcrypt.compare(password, this.password);
 };
 
-userSchema.methods.generateAccessToken = function () {
+userSchema.methods.hasPermission = function (permission) {
+  return (
+    ROLE_PERMISSIONS[this.role]?.includes(permission) ||
+    this.permissions?.includes(permission) ||
+    false
+  );
+};
+
+userSchema.methods.generateAccessToken = function (sessionId) {
   const accessToken = jwt.sign(
     {
       _id: this._id,
+      sid: sessionId,
+      tv: this.tokenVersion,
       userName: this.name,
       email: this.email,
       fullName: this.fullname,
@@ -78,10 +199,13 @@ userSchema.methods.generateAccessToken = function () {
   return accessToken;
 };
 
-userSchema.methods.generateRefreshToken = function () {
+// `sid` ties the token to its session, `jti` makes every rotated token unique
+userSchema.methods.generateRefreshToken = function (sessionId) {
   const refreshToken = jwt.sign(
     {
       _id: this._id,
+      sid: sessionId,
+      jti: crypto.randomUUID(),
     },
     process.env.REFRESH_TOKEN_SECRET,
     { expiresIn: process.env.REFRESH_TOKEN_EXPIRY }
@@ -89,4 +213,6 @@ userSchema.methods.generateRefreshToken = function () {
   return refreshToken;
 };
 
+userSchema.plugin(mongooseAggregatePaginate);
+
 export const User = mongoose.model("User", userSchema);
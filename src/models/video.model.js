@@ -11,6 +11,13 @@ const videoSchema = new Schema(
       type: String,
       required: true,
     },
+    // storage ids of the files, used to delete them (see utils/storage.js)
+    videoFileAssetId: {
+      type: String,
+    },
+    thumbnailAssetId: {
+      type: String,
+    },
     title: {
       type: String,
       required: true,
@@ -31,6 +38,15 @@ const videoSchema = new Schema(
       type: Boolean,
       default: true,
     },
+    // set when a moderator takes the video down; the owner cannot publish it
+    // again until a moderator restores it
+    unpublishedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    unpublishedAt: {
+      type: Date,
+    },
     owner: {
       type: Schema.Types.ObjectId,
       ref: "User",
@@ -39,6 +55,12 @@ const videoSchema = new Schema(
   { timestamps: true }
 );
 
+// weighted full-text index used by the video search endpoint
+videoSchema.index(
+  { title: "text", description: "text" },
+  { weights: { title: 10, description: 4 }, name: "video_text_search" }
+);
+
 videoSchema.plugin(mongooseAggregatePaginate);
 
 export const Video = mongoose.model("Video", videoSchema);
@@ -0,0 +1,32 @@
+import mongoose, { Schema } from "mongoose";
+
+/**
+ * One document per (video, viewer) pair that was counted recently. It only
+ * exists to de-duplicate views: while `expiresAt` is in the future another
+ * view from the same viewer is not counted again. The TTL index removes
+ * stale documents on its own.
+ */
+const viewSchema = new Schema(
+  {
+    video: {
+      type: Schema.Types.ObjectId,
+      ref: "Video",
+      required: true,
+    },
+    // "user:<id>" for logged in viewers, "anon:<hash>" otherwise
+    viewerKey: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+viewSchema.index({ video: 1, viewerKey: 1 }, { unique: true });
+viewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const View = mongoose.model("View", viewSchema);
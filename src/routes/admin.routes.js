@@ -0,0 +1,69 @@
+import { Router } from "express";
+import {
+  getUsers,
+  banUser,
+  unbanUser,
+  updateUserRole,
+  unpublishVideo,
+  restoreVideo,
+  getAuditLogs,
+} from "../controllers/admin.controller.js";
+import {
+  verifyJWToken,
+  requireRole,
+  requirePermission,
+} from "../middlewares/auth.middleware.js";
+import validate from "../middlewares/validate.middleware.js";
+import {
+  getUsersSchema,
+  banUserSchema,
+  userIdSchema,
+  updateUserRoleSchema,
+  videoIdSchema,
+  getAuditLogsSchema,
+} from "../validators/admin.validator.js";
+const router = Router();
+
+router.use(verifyJWToken);
+
+// GET api/v1/admin/users
+router
+  .route("/users")
+  .get(requirePermission("user:read"), validate(getUsersSchema), getUsers);
+
+router
+  .route("/users/:userId/ban")
+  .post(requirePermission("user:ban"), validate(banUserSchema), banUser)
+  .delete(requirePermission("user:ban"), validate(userIdSchema), unbanUser);
+
+router
+  .route("/users/:userId/role")
+  .patch(
+    requireRole("admin"),
+    requirePermission("user:role"),
+    validate(updateUserRoleSchema),
+    updateUserRole
+  );
+
+router
+  .route("/videos/:videoId/unpublish")
+  .patch(
+    requirePermission("video:unpublish:any"),
+    validate(videoIdSchema),
+    unpublishVideo
+  )
+  .delete(
+    requirePermission("video:unpublish:any"),
+    validate(videoIdSchema),
+    restoreVideo
+  );
+
+router
+  .route("/audit-logs")
+  .get(
+    requirePermission("audit:read"),
+    validate(getAuditLogsSchema),
+    getAuditLogs
+  );
+
+export default router;
@@ -0,0 +1,49 @@
+import { Router } from "express";
+import {
+  getVideoComments,
+  getCommentReplies,
+  addComment,
+  updateComment,
+  deleteComment,
+} from "../controllers/comment.controller.js";
+import {
+  verifyJWToken,
+  optionalJWToken,
+  requireVerifiedEmail,
+} from "../middlewares/auth.middleware.js";
+import validate from "../middlewares/validate.middleware.js";
+import {
+  getVideoCommentsSchema,
+  getCommentRepliesSchema,
+  addCommentSchema,
+  updateCommentSchema,
+  commentIdSchema,
+} from "../validators/comment.validator.js";
+const router = Router();
+
+// api/v1/comments/:videoId
+router
+  .route("/:videoId")
+  .get(optionalJWToken, validate(getVideoCommentsSchema), getVideoComments)
+  .post(
+    verifyJWToken,
+    requireVerifiedEmail("comment"),
+    validate(addCommentSchema),
+    addComment
+  );
+
+router
+  .route("/c/:commentId")
+  .patch(
+    verifyJWToken,
+    requireVerifiedEmail("comment"),
+    validate(updateCommentSchema),
+    updateComment
+  )
+  .delete(verifyJWToken, validate(commentIdSchema), deleteComment);
+
+router
+  .route("/c/:commentId/replies")
+  .get(optionalJWToken, validate(getCommentRepliesSchema), getCommentReplies);
+
+export default router;
@@ -0,0 +1,20 @@
+import { Router } from "express";
+import {
+  getChannelStats,
+  getChannelVideos,
+} from "../controllers/dashboard.controller.js";
+import { verifyJWToken } from "../middlewares/auth.middleware.js";
+import validate from "../middlewares/validate.middleware.js";
+import {
+  channelStatsSchema,
+  channelVideosSchema,
+} from "../validators/dashboard.validator.js";
+const router = Router();
+
+router.use(verifyJWToken);
+
+// GET api/v1/dashboard/stats
+router.route("/stats").get(validate(channelStatsSchema), getChannelStats);
+router.route("/videos").get(validate(channelVideosSchema), getChannelVideos);
+
+export default router;
@@ -0,0 +1,32 @@
+import { Router } from "express";
+import {
+  toggleVideoLike,
+  toggleCommentLike,
+  togglePostLike,
+  getLikedVideos,
+} from "../controllers/like.controller.js";
+import { verifyJWToken } from "../middlewares/auth.middleware.js";
+import validate from "../middlewares/validate.middleware.js";
+import {
+  videoLikeSchema,
+  commentLikeSchema,
+  postLikeSchema,
+  likedVideosSchema,
+} from "../validators/like.validator.js";
+const router = Router();
+
+router.use(verifyJWToken);
+
+// api/v1/likes
+router
+  .route("/toggle/v/:videoId")
+  .post(validate(videoLikeSchema), toggleVideoLike);
+router
+  .route("/toggle/c/:commentId")
+  .post(validate(commentLikeSchema), toggleCommentLike);
+router
+  .route("/toggle/p/:postId")
+  .post(validate(postLikeSchema), togglePostLike);
+router.route("/videos").get(validate(likedVideosSchema), getLikedVideos);
+
+export default router;
@@ -0,0 +1,35 @@
+import { Router } from "express";
+import {
+  authorizeOAuth,
+  linkOAuthAccount,
+  oauthCallback,
+  getOAuthAccounts,
+  unlinkOAuthAccount,
+} from "../controllers/oauth.controller.js";
+import { verifyJWToken } from "../middlewares/auth.middleware.js";
+import validate from "../middlewares/validate.middleware.js";
+import { rateLimit } from "../middlewares/rateLimit.middleware.js";
+import {
+  providerSchema,
+  oauthCallbackSchema,
+} from "../validators/oauth.validator.js";
+const router = Router();
+
+// GET api/v1/oauth/accounts
+router.route("/accounts").get(verifyJWToken, getOAuthAccounts);
+
+// GET api/v1/oauth/:provider/authorize
+router
+  .route("/:provider/authorize")
+  .get(validate(providerSchema), authorizeOAuth);
+router
+  .route("/:provider/callback")
+  .get(rateLimit("login"), validate(oauthCallbackSchema), oauthCallback);
+router
+  .route("/:provider/link")
+  .post(verifyJWToken, validate(providerSchema), linkOAuthAccount);
+router
+  .route("/:provider")
+  .delete(verifyJWToken, validate(providerSchema), unlinkOAuthAccount);
+
+export default router;
@@ -0,0 +1,55 @@
+import { Router } from "express";
+import {
+  createPlaylist,
+  getUserPlaylists,
+  getPlaylistById,
+  updatePlaylist,
+  deletePlaylist,
+  addVideoToPlaylist,
+  removeVideoFromPlaylist,
+  reorderPlaylistVideo,
+} from "../controllers/playlist.controller.js";
+import {
+  verifyJWToken,
+  optionalJWToken,
+} from "../middlewares/auth.middleware.js";
+import validate from "../middlewares/validate.middleware.js";
+import {
+  createPlaylistSchema,
+  playlistIdSchema,
+  updatePlaylistSchema,
+  playlistVideoSchema,
+  reorderPlaylistSchema,
+  userPlaylistsSchema,
+} from "../validators/playlist.validator.js";
+const router = Router();
+
+// POST api/v1/playlists
+router
+  .route("/")
+  .post(verifyJWToken, validate(createPlaylistSchema), createPlaylist);
+
+router
+  .route("/:playlistId")
+  .get(optionalJWToken, validate(playlistIdSchema), getPlaylistById)
+  .patch(verifyJWToken, validate(updatePlaylistSchema), updatePlaylist)
+  .delete(verifyJWToken, validate(playlistIdSchema), deletePlaylist);
+
+router
+  .route("/:playlistId/videos/:videoId")
+  .post(verifyJWToken, validate(playlistVideoSchema), addVideoToPlaylist)
+  .delete(
+    verifyJWToken,
+    validate(playlistVideoSchema),
+    removeVideoFromPlaylist
+  );
+
+router
+  .route("/:playlistId/reorder")
+  .patch(verifyJWToken, validate(reorderPlaylistSchema), reorderPlaylistVideo);
+
+router
+  .route("/user/:userId")
+  .get(optionalJWToken, validate(userPlaylistsSchema), getUserPlaylists);
+
+export default router;
@@ -0,0 +1,54 @@
+import { Router } from "express";
+import {
+  createPost,
+  getUserPosts,
+  getPostFeed,
+  updatePost,
+  deletePost,
+} from "../controllers/post.controller.js";
+import { upload } from "../middlewares/multer.middleware.js";
+import { rateLimit } from "../middlewares/rateLimit.middleware.js";
+import {
+  verifyJWToken,
+  optionalJWToken,
+  requireVerifiedEmail,
+} from "../middlewares/auth.middleware.js";
+import validate from "../middlewares/validate.middleware.js";
+import {
+  createPostSchema,
+  postFeedSchema,
+  userPostsSchema,
+  updatePostSchema,
+  postIdSchema,
+} from "../validators/post.validator.js";
+const router = Router();
+
+// POST api/v1/posts
+router
+  .route("/")
+  .post(
+    verifyJWToken,
+    requireVerifiedEmail("upload"),
+    rateLimit("upload"),
+    upload.single("image"),
+    validate(createPostSchema),
+    createPost
+  );
+router.route("/feed").get(verifyJWToken, validate(postFeedSchema), getPostFeed);
+router
+  .route("/user/:userId")
+  .get(optionalJWToken, validate(userPostsSchema), getUserPosts);
+
+router
+  .route("/:postId")
+  .patch(
+    verifyJWToken,
+    requireVerifiedEmail("upload"),
+    rateLimit("upload"),
+    upload.single("image"),
+    validate(updatePostSchema),
+    updatePost
+  )
+  .delete(verifyJWToken, validate(postIdSchema), deletePost);
+
+export default router;
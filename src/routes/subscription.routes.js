@@ -0,0 +1,28 @@
+import { Router } from "express";
+import {
+  toggleSubscription,
+  getUserChannelSubscribers,
+  getSubscribedChannels,
+} from "../controllers/subscription.controller.js";
+import { verifyJWToken } from "../middlewares/auth.middleware.js";
+import validate from "../middlewares/validate.middleware.js";
+import {
+  channelSchema,
+  channelSubscribersSchema,
+  subscribedChannelsSchema,
+} from "../validators/subscription.validator.js";
+const router = Router();
+
+router.use(verifyJWToken);
+
+// api/v1/subscriptions/c/:channelId
+router
+  .route("/c/:channelId")
+  .get(validate(channelSubscribersSchema), getUserChannelSubscribers)
+  .post(validate(channelSchema), toggleSubscription);
+
+router
+  .route("/u/:subscriberId")
+  .get(validate(subscribedChannelsSchema), getSubscribedChannels);
+
+export default router;
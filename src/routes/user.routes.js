@@ -1,55 +1,168 @@
 import { Router } from "express";
 import {
   loginUser,
+  verifyTwoFactorLogin,
   logoutUser,
   registerUser,
   refreshAccessToken,
   changeCurrentPassword,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+  getSessions,
+  revokeSession,
+  logoutAllSessions,
   getCurrentUser,
+  updateAccountDetails,
+  updateUserAvatar,
+  updateUserCoverImage,
+  getUserChannelProfile,
+  getWatchHistory,
+  addToWatchHistory,
+  removeFromWatchHistory,
+  clearWatchHistory,
 } from "../controllers/user.controller.js";
 import { upload } from "../middlewares/multer.middleware.js";
-import { verifyJWToken } from "../middlewares/auth.middleware.js";
+import { rateLimit } from "../middlewares/rateLimit.middleware.js";
+import {
+  verifyJWToken,
+  requireVerifiedEmail,
+} from "../middlewares/auth.middleware.js";
+import validate from "../middlewares/validate.middleware.js";
+import {
+  registerUserSchema,
+  loginUserSchema,
+  verifyTwoFactorLoginSchema,
+  refreshAccessTokenSchema,
+  changePasswordSchema,
+  confirmTwoFactorSchema,
+  disableTwoFactorSchema,
+  verifyEmailSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  sessionIdSchema,
+  updateAccountSchema,
+  updateAvatarSchema,
+  updateCoverImageSchema,
+  channelProfileSchema,
+  watchHistoryVideoSchema,
+} from "../validators/user.validator.js";
 const router = Router();
 
 // POST api/v1/users/register
 router.route("/register").post(
+  rateLimit("register"),
   upload.fields([
     { name: "avatarImage", maxCount: 1 },
     { name: "coverImage", maxCount: 1 },
   ]),
+  validate(registerUserSchema),
   registerUser
 );
-router.route("/login").post(loginUser);
+router
+  .route("/login")
+  .post(rateLimit("login"), validate(loginUserSchema), loginUser);
+router
+  .route("/login/2fa")
+  .post(
+    rateLimit("login"),
+    validate(verifyTwoFactorLoginSchema),
+    verifyTwoFactorLogin
+  );
+router
+  .route("/forgot-password")
+  .post(
+    rateLimit("passwordReset"),
+    validate(forgotPasswordSchema),
+    forgotPassword
+  );
+router
+  .route("/reset-password")
+  .post(
+    rateLimit("passwordReset"),
+    validate(resetPasswordSchema),
+    resetPassword
+  );
+router
+  .route("/verify-email")
+  .post(
+    rateLimit("emailVerification"),
+    validate(verifyEmailSchema),
+    verifyEmail
+  );
+router
+  .route("/verify-email/resend")
+  .post(verifyJWToken, rateLimit("emailVerification"), resendVerificationEmail);
 
 // SECURED Router
 router.route("/logout").post(verifyJWToken, logoutUser);
-router.route("/refresh-token").post(refreshAccessToken);
+router.route("/logout-all").post(verifyJWToken, logoutAllSessions);
+router
+  .route("/refresh-token")
+  .post(
+    rateLimit("refresh"),
+    validate(refreshAccessTokenSchema),
+    refreshAccessToken
+  );
 
-router.route("/change-password").post(verifyJWToken, changeCurrentPassword);
+router
+  .route("/change-password")
+  .post(verifyJWToken, validate(changePasswordSchema), changeCurrentPassword);
+router.route("/2fa/setup").post(verifyJWToken, setupTwoFactor);
+router
+  .route("/2fa/confirm")
+  .post(verifyJWToken, validate(confirmTwoFactorSchema), confirmTwoFactor);
+router
+  .route("/2fa/disable")
+  .post(verifyJWToken, validate(disableTwoFactorSchema), disableTwoFactor);
+router.route("/sessions").get(verifyJWToken, getSessions);
+router
+  .route("/sessions/:sessionId")
+  .delete(verifyJWToken, validate(sessionIdSchema), revokeSession);
 router.route("/current-user").get(verifyJWToken, getCurrentUser);
-// router.route("/update-account").patch(verifyJWToken, updateAccountDetails);
-
-// router
-//   .route("/avatar")
-//   .patch(verifyJWToken, upload.single("avatar"), updateUserAvatar);
-// router
-//   .route("/cover-image")
-//   .patch(verifyJWToken, upload.single("coverImage"), updateUserCoverImage);
-
-// router.route("/c/:username").get(verifyJWToken, getUserChannelProfile);
-// router.route("/history").get(verifyJWToken, getWatchHistory);
+router
+  .route("/update-account")
+  .patch(verifyJWToken, validate(updateAccountSchema), updateAccountDetails);
 
-// router.route("/change-password").post(verifyJWToken, changeCurrentPassword);
-// router.route("/current-user").get(verifyJWToken, getCurrentUser);
-// router.route("/update-account").patch(verifyJWToken, updateAccountDetails);
+router
+  .route("/avatar")
+  .patch(
+    verifyJWToken,
+    requireVerifiedEmail("upload"),
+    rateLimit("upload"),
+    upload.single("avatarImage"),
+    validate(updateAvatarSchema),
+    updateUserAvatar
+  );
+router
+  .route("/cover-image")
+  .patch(
+    verifyJWToken,
+    requireVerifiedEmail("upload"),
+    rateLimit("upload"),
+    upload.single("coverImage"),
+    validate(updateCoverImageSchema),
+    updateUserCoverImage
+  );
 
-// router
-//   .route("/avatar")
-//   .patch(verifyJWToken, upload.single("avatar"), updateUserAvatar);
-// router
-//   .route("/cover-image")
-//   .patch(verifyJWToken, upload.single("coverImage"), updateUserCoverImage);
+router
+  .route("/c/:username")
+  .get(verifyJWToken, validate(channelProfileSchema), getUserChannelProfile);
+router
+  .route("/history")
+  .get(verifyJWToken, getWatchHistory)
+  .delete(verifyJWToken, clearWatchHistory);
+router
+  .route("/history/:videoId")
+  .post(verifyJWToken, validate(watchHistoryVideoSchema), addToWatchHistory)
+  .delete(
+    verifyJWToken,
+    validate(watchHistoryVideoSchema),
+    removeFromWatchHistory
+  );
 
-// router.route("/c/:username").get(verifyJWToken, getUserChannelProfile);
-// router.route("/history").get(verifyJWToken, getWatchHistory);
 export default router;
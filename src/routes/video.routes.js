@@ -0,0 +1,79 @@
+import { Router } from "express";
+import {
+  getAllVideos,
+  searchVideos,
+  publishAVideo,
+  getVideoById,
+  updateVideo,
+  deleteVideo,
+  togglePublishStatus,
+  recordVideoView,
+  getVideoViewStats,
+} from "../controllers/video.controller.js";
+import { upload } from "../middlewares/multer.middleware.js";
+import { rateLimit } from "../middlewares/rateLimit.middleware.js";
+import {
+  verifyJWToken,
+  optionalJWToken,
+  requireVerifiedEmail,
+} from "../middlewares/auth.middleware.js";
+import validate from "../middlewares/validate.middleware.js";
+import {
+  getAllVideosSchema,
+  searchVideosSchema,
+  publishVideoSchema,
+  videoIdSchema,
+  updateVideoSchema,
+  videoViewStatsSchema,
+} from "../validators/video.validator.js";
+const router = Router();
+
+// GET, POST api/v1/videos
+router
+  .route("/")
+  .get(optionalJWToken, validate(getAllVideosSchema), getAllVideos)
+  .post(
+    verifyJWToken,
+    requireVerifiedEmail("upload"),
+    rateLimit("upload"),
+    upload.fields([
+      { name: "videoFile", maxCount: 1 },
+      { name: "thumbnail", maxCount: 1 },
+    ]),
+    validate(publishVideoSchema),
+    publishAVideo
+  );
+
+// GET api/v1/videos/search?q=
+router
+  .route("/search")
+  .get(optionalJWToken, validate(searchVideosSchema), searchVideos);
+
+router
+  .route("/:videoId")
+  .get(optionalJWToken, validate(videoIdSchema), getVideoById)
+  .patch(
+    verifyJWToken,
+    requireVerifiedEmail("upload"),
+    rateLimit("upload"),
+    upload.single("thumbnail"),
+    validate(updateVideoSchema),
+    updateVideo
+  )
+  .delete(verifyJWToken, validate(videoIdSchema), deleteVideo);
+
+router
+  .route("/toggle/publish/:videoId")
+  .patch(verifyJWToken, validate(videoIdSchema), togglePublishStatus);
+
+router
+  .route("/:videoId/views")
+  .get(verifyJWToken, validate(videoViewStatsSchema), getVideoViewStats)
+  .post(
+    optionalJWToken,
+    rateLimit("views"),
+    validate(videoIdSchema),
+    recordVideoView
+  );
+
+export default router;
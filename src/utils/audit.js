@@ -0,0 +1,28 @@
+import { AuditLog } from "../models/auditLog.model.js";
+
+/**
+ * Records a security event. Auditing must never break the request that
+ * triggered it, so failures are only logged.
+ *
+ * @param {string} event - The event name, e.g. "login-lockout".
+ * @param {Object} [data]
+ * @param {string} [data.user] - The ID of the user concerned.
+ * @param {Object} [data.req] - The Express request, for the IP and user agent.
+ * @param {Object} [data.details] - Event specific details.
+ * @returns {Promise<void>}
+ */
+const recordAuditEvent = async (event, { user, req, details } = {}) => {
+  try {
+    await AuditLog.create({
+      event,
+      user,
+      ip: req?.ip,
+      userAgent: req?.get("User-Agent"),
+      details,
+    });
+  } catch (error) {
+    console.error(`Failed to record audit event "${event}":`, error);
+  }
+};
+
+export default recordAuditEvent;
@@ -1,5 +1,4 @@
 import { v2 as cloudinary } from "cloudinary";
-import fs from "fs";
 
 // Configuration
 cloudinary.config({
@@ -8,19 +7,111 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET,
 });
 
-const uploadOnCloudinary = async (localFilePath) => {
-  try {
-    if (!localFilePath) return null;
+const PRIVATE_DELIVERY_TYPE = "authenticated";
 
+/**
+ * Asset ids are `<resource type>/<public id>`, e.g. `video/abc123`, since
+ * Cloudinary needs both to find an asset. Private assets are delivered as
+ * `authenticated` and their ids read `<resource type>/authenticated/<public id>`.
+ *
+ * @param {string} assetId - The asset id.
+ * @returns {{ resourceType: string, type: string, publicId: string }} - Its parts.
+ */
+const splitAssetId = (assetId) => {
+  const [resourceType, ...rest] = assetId.split("/");
+  const isPrivate = rest.length > 1 && rest[0] === PRIVATE_DELIVERY_TYPE;
+
+  return {
+    resourceType,
+    type: isPrivate ? PRIVATE_DELIVERY_TYPE : "upload",
+    publicId: (isPrivate ? rest.slice(1) : rest).join("/"),
+  };
+};
+
+/**
+ * Storage driver keeping the files on Cloudinary, see `storage.js`.
+ */
+const cloudinaryDriver = {
+  upload: async (localFilePath, { isPrivate = false } = {}) => {
     const result = await cloudinary.uploader.upload(localFilePath, {
       resource_type: "auto",
+      ...(isPrivate ? { type: PRIVATE_DELIVERY_TYPE } : {}),
+    });
+    const assetId = isPrivate
+      ? `${result.resource_type}/${PRIVATE_DELIVERY_TYPE}/${result.public_id}`
+      : `${result.resource_type}/${result.public_id}`;
+
+    return {
+      assetId,
+      url: isPrivate ? cloudinaryDriver.getUrl(assetId) : result.url,
+      bytes: result.bytes,
+      mimetype: `${result.resource_type}/${result.format}`,
+      duration: result.duration,
+    };
+  },
+
+  delete: async (assetId) => {
+    const { resourceType, type, publicId } = splitAssetId(assetId);
+    const result = await cloudinary.uploader.destroy(publicId, {
+      resource_type: resourceType,
+      type,
     });
-    return result;
-  } catch (error) {
-    console.log(error);
-    fs.unlinkSync(localFilePath);
-    return null;
-  }
+    return result?.result === "ok";
+  },
+
+  /**
+   * Private assets are only delivered with a signature, so their URLs are
+   * always signed; public ones when `signed` is set, which only stops
+   * tampering (e.g. requesting other transformations). Cloudinary signatures
+   * do not expire, so `expiresInSeconds` is ignored.
+   */
+  getUrl: (assetId, { signed = false } = {}) => {
+    const { resourceType, type, publicId } = splitAssetId(assetId);
+    return cloudinary.url(publicId, {
+      resource_type: resourceType,
+      type,
+      secure: true,
+      sign_url: signed || type === PRIVATE_DELIVERY_TYPE,
+    });
+  },
+
+  getMetadata: async (assetId) => {
+    const { resourceType, type, publicId } = splitAssetId(assetId);
+
+    try {
+      const resource = await cloudinary.api.resource(publicId, {
+        resource_type: resourceType,
+        type,
+      });
+
+      return {
+        url:
+          type === PRIVATE_DELIVERY_TYPE
+            ? cloudinaryDriver.getUrl(assetId)
+            : resource.url,
+        bytes: resource.bytes,
+        mimetype: `${resource.resource_type}/${resource.format}`,
+        width: resource.width,
+        height: resource.height,
+        duration: resource.duration,
+        createdAt: new Date(resource.created_at),
+      };
+    } catch (error) {
+      if (error?.error?.http_code === 404) return null;
+      throw error;
+    }
+  },
+
+  /**
+   * Recovers the asset id from a delivery URL, e.g.
+   * `http://res.cloudinary.com/<cloud>/video/upload/v1719/abc123.mp4`.
+   */
+  assetIdFromUrl: (url) => {
+    const match = url.match(
+      /\/(image|video|raw)\/upload\/(?:v\d+\/)?(.+?)(?:\.[^./]+)?$/
+    );
+    return match ? `${match[1]}/${match[2]}` : null;
+  },
 };
 
-export default uploadOnCloudinary;
+export default cloudinaryDriver;
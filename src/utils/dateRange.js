@@ -0,0 +1,37 @@
+import ApiError from "./ApiError.js";
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parses the optional `from` / `to` query parameters into a MongoDB range
+ * condition, e.g. `{ $gte: Date, $lte: Date }`. A date-only `to` such as
+ * `2024-01-31` covers that whole UTC day.
+ *
+ * @param {Object} query - The Express request query.
+ * @param {string} [query.from] - The start of the range (inclusive).
+ * @param {string} [query.to] - The end of the range (inclusive).
+ * @returns {Object|null} - The range condition, or null when neither bound is given.
+ * @throws {ApiError} - If a bound is not a valid date or `from` is after `to`.
+ */
+const parseDateRange = ({ from, to } = {}) => {
+  if (!from && !to) return null;
+
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) {
+    range.$lte = new Date(to);
+    if (DATE_ONLY_PATTERN.test(to)) range.$lte.setUTCHours(23, 59, 59, 999);
+  }
+
+  if (Object.values(range).some((date) => Number.isNaN(date.getTime()))) {
+    throw new ApiError(400, "Invalid date range");
+  }
+
+  if (range.$gte && range.$lte && range.$gte > range.$lte) {
+    throw new ApiError(400, "from must be before to");
+  }
+
+  return range;
+};
+
+export default parseDateRange;
@@ -0,0 +1,224 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import express from "express";
+import ApiError from "./ApiError.js";
+import { detectFileType, FILE_SIGNATURE_LENGTH } from "./fileType.js";
+import {
+  STORAGE_LOCAL_ROUTE,
+  STORAGE_SIGNED_URL_EXPIRY_SECONDS,
+} from "../constants.js";
+
+const FILE_EXTENSIONS = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+  "video/mp4": ".mp4",
+  "video/quicktime": ".mov",
+  "video/webm": ".webm",
+  "video/x-matroska": ".mkv",
+  "video/x-msvideo": ".avi",
+};
+
+const PRIVATE_PREFIX = "private/";
+
+// asset ids are random file names, so they can never point outside the folder
+const ASSET_ID_PATTERN = /^(?:private\/)?[a-f\d]{32}\.[a-z\d]+$/;
+
+/**
+ * The folder holding the files (`STORAGE_LOCAL_DIR`, defaults to
+ * `./storage`). Public files are kept in its `public` folder, the only one
+ * served as is; private files in its `private` folder.
+ */
+const getStorageDir = () =>
+  path.resolve(process.env.STORAGE_LOCAL_DIR || "storage");
+
+const getPublicDir = () => path.join(getStorageDir(), "public");
+
+/**
+ * The URL the files are served under, e.g. `http://localhost:8000/media`
+ * when `STORAGE_LOCAL_BASE_URL` is `http://localhost:8000`.
+ */
+const getBaseUrl = () =>
+  `${process.env.STORAGE_LOCAL_BASE_URL || ""}${STORAGE_LOCAL_ROUTE}`;
+
+const getAssetPath = (assetId) => {
+  if (!ASSET_ID_PATTERN.test(assetId)) {
+    throw new Error(`Invalid local asset id "${assetId}"`);
+  }
+  return assetId.startsWith(PRIVATE_PREFIX)
+    ? path.join(getStorageDir(), assetId)
+    : path.join(getPublicDir(), assetId);
+};
+
+/**
+ * Signs the link of a private file with `STORAGE_URL_SECRET`, a secret of
+ * its own so that it can be rotated without logging every user out.
+ */
+const signAssetUrl = (assetId, expires) => {
+  if (!process.env.STORAGE_URL_SECRET) {
+    throw new Error("STORAGE_URL_SECRET is required for private files");
+  }
+
+  return crypto
+    .createHmac("sha256", process.env.STORAGE_URL_SECRET)
+    .update(`${assetId}:${expires}`)
+    .digest("base64url");
+};
+
+const readFileSignature = async (filePath) => {
+  const handle = await fs.promises.open(filePath, "r");
+
+  try {
+    const buffer = Buffer.alloc(FILE_SIGNATURE_LENGTH);
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Storage driver keeping the files in a local folder served by the API
+ * itself, for development and tests without a Cloudinary account. Public
+ * files are served to anyone; private files only through signed, expiring
+ * links. See `storage.js`.
+ */
+const diskStorageDriver = {
+  upload: async (localFilePath, { isPrivate = false } = {}) => {
+    const mimetype = detectFileType(await readFileSignature(localFilePath));
+    const assetId = `${isPrivate ? PRIVATE_PREFIX : ""}${crypto
+      .randomBytes(16)
+      .toString("hex")}${FILE_EXTENSIONS[mimetype] || ".bin"}`;
+    const filePath = getAssetPath(assetId);
+    // signed first, so a missing secret fails before the file is moved
+    const url = diskStorageDriver.getUrl(assetId);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    try {
+      await fs.promises.rename(localFilePath, filePath);
+    } catch (error) {
+      // the temp folder may be on another disk
+      if (error?.code !== "EXDEV") throw error;
+      await fs.promises.copyFile(localFilePath, filePath);
+    }
+
+    const { size } = await fs.promises.stat(filePath);
+
+    return {
+      assetId,
+      url,
+      bytes: size,
+      mimetype,
+    };
+  },
+
+  delete: async (assetId) => {
+    try {
+      await fs.promises.unlink(getAssetPath(assetId));
+      return true;
+    } catch (error) {
+      if (error?.code === "ENOENT") return false;
+      throw error;
+    }
+  },
+
+  /**
+   * Links to private files are always signed and expire; public files are
+   * served to anyone, so `signed` has no effect on them.
+   */
+  getUrl: (
+    assetId,
+    { expiresInSeconds = STORAGE_SIGNED_URL_EXPIRY_SECONDS } = {}
+  ) => {
+    const url = `${getBaseUrl()}/${assetId}`;
+    if (!assetId.startsWith(PRIVATE_PREFIX)) return url;
+
+    const expires = Math.floor(Date.now() / 1000) + expiresInSeconds;
+    return `${url}?expires=${expires}&signature=${signAssetUrl(assetId, expires)}`;
+  },
+
+  getMetadata: async (assetId) => {
+    const filePath = getAssetPath(assetId);
+
+    try {
+      const [stats, signature] = await Promise.all([
+        fs.promises.stat(filePath),
+        readFileSignature(filePath),
+      ]);
+
+      return {
+        url: diskStorageDriver.getUrl(assetId),
+        bytes: stats.size,
+        mimetype: detectFileType(signature),
+        createdAt: stats.birthtime,
+      };
+    } catch (error) {
+      if (error?.code === "ENOENT") return null;
+      throw error;
+    }
+  },
+
+  assetIdFromUrl: (url) => {
+    const prefix = `${getBaseUrl()}/`;
+    if (!url.startsWith(prefix)) return null;
+
+    const assetId = url.slice(prefix.length).split("?")[0];
+    return ASSET_ID_PATTERN.test(assetId) ? assetId : null;
+  },
+};
+
+let staticRoot;
+let staticHandler;
+
+/**
+ * Serves private files, only through a valid and unexpired signed link
+ * (see `getUrl`).
+ */
+const servePrivateFile = (req, res, next) => {
+  const assetId = req.path.slice(1);
+  const { expires, signature } = req.query;
+
+  if (!ASSET_ID_PATTERN.test(assetId)) return next();
+
+  const expected = Buffer.from(signAssetUrl(assetId, expires));
+  const received = Buffer.from(String(signature));
+
+  if (
+    !(Number(expires) * 1000 > Date.now()) ||
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    return next(new ApiError(403, "This file link is invalid or expired"));
+  }
+
+  res.sendFile(getAssetPath(assetId), { dotfiles: "deny" }, (error) => {
+    if (error) next(error.code === "ENOENT" ? undefined : error);
+  });
+};
+
+/**
+ * Serves the files of the local driver under `STORAGE_LOCAL_ROUTE`: public
+ * files as static files, private files through `servePrivateFile`. The
+ * static handler only sees the `public` folder, so no path can reach a
+ * private file without a signature.
+ */
+const serveLocalFiles = (req, res, next) => {
+  if (req.path.startsWith(`/${PRIVATE_PREFIX}`)) {
+    return servePrivateFile(req, res, next);
+  }
+
+  const root = getPublicDir();
+
+  if (root !== staticRoot) {
+    staticRoot = root;
+    staticHandler = express.static(root, { index: false, dotfiles: "deny" });
+  }
+
+  staticHandler(req, res, next);
+};
+
+export { serveLocalFiles };
+export default diskStorageDriver;
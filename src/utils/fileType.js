@@ -0,0 +1,75 @@
+/**
+ * Number of leading bytes needed to recognize every supported type.
+ */
+const FILE_SIGNATURE_LENGTH = 64;
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length &&
+  bytes.every((byte, index) => buffer[offset + index] === byte);
+
+const ascii = (text) => [...text].map((char) => char.charCodeAt(0));
+
+/**
+ * Major brands of ISO base media files that hold video. Other brands share
+ * the `ftyp` box too: HEIC/AVIF images, M4A audio, 3GP, ...
+ */
+const MP4_VIDEO_BRANDS = [
+  "isom",
+  "iso2",
+  "iso3",
+  "iso4",
+  "iso5",
+  "iso6",
+  "mp41",
+  "mp42",
+  "avc1",
+  "dash",
+  "mmp4",
+  "M4V ",
+  "M4VH",
+  "M4VP",
+  "f4v ",
+];
+
+/**
+ * Recognizes the type of a file from its first bytes ("magic numbers"),
+ * whatever name or `Content-Type` the client sent.
+ *
+ * @param {Buffer} buffer - The first `FILE_SIGNATURE_LENGTH` bytes of the file.
+ * @returns {string|null} - The MIME type, or null if the type is not supported.
+ */
+const detectFileType = (buffer) => {
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return "image/jpeg";
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return "image/png";
+  }
+  if (
+    startsWith(buffer, ascii("GIF87a")) ||
+    startsWith(buffer, ascii("GIF89a"))
+  ) {
+    return "image/gif";
+  }
+  if (startsWith(buffer, ascii("RIFF"))) {
+    if (startsWith(buffer, ascii("WEBP"), 8)) return "image/webp";
+    if (startsWith(buffer, ascii("AVI "), 8)) return "video/x-msvideo";
+  }
+
+  // ISO base media files (MP4, MOV) start with a `ftyp` box, followed by
+  // the major brand telling what the file holds
+  if (startsWith(buffer, ascii("ftyp"), 4)) {
+    const brand = buffer.subarray(8, 12).toString("latin1");
+
+    if (brand === "qt  ") return "video/quicktime";
+    if (MP4_VIDEO_BRANDS.includes(brand)) return "video/mp4";
+    return null;
+  }
+
+  // WebM is Matroska with the "webm" doc type in its EBML header
+  if (startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3])) {
+    return buffer.includes("webm") ? "video/webm" : "video/x-matroska";
+  }
+
+  return null;
+};
+
+export { detectFileType, FILE_SIGNATURE_LENGTH };
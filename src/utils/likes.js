@@ -0,0 +1,46 @@
+/**
+ * Builds the aggregation stages that add `likesCount` and `isLiked` to each
+ * document, where `field` is the `Like` field pointing at the document
+ * (`video`, `comment` or `post`). Both are computed by the database, so the
+ * likes themselves are never loaded.
+ *
+ * @param {string} field - The like target field.
+ * @param {ObjectId} [userId] - The current user; `isLiked` is false without one.
+ * @returns {Object[]} - The aggregation stages.
+ */
+const lookupLikes = (field, userId) => [
+  {
+    $lookup: {
+      from: "likes",
+      localField: "_id",
+      foreignField: field,
+      as: "likesCount",
+      pipeline: [{ $count: "total" }],
+    },
+  },
+  ...(userId
+    ? [
+        {
+          $lookup: {
+            from: "likes",
+            localField: "_id",
+            foreignField: field,
+            as: "isLiked",
+            pipeline: [
+              { $match: { likedBy: userId } },
+              { $limit: 1 },
+              { $project: { _id: 1 } },
+            ],
+          },
+        },
+      ]
+    : []),
+  {
+    $addFields: {
+      likesCount: { $ifNull: [{ $first: "$likesCount.total" }, 0] },
+      isLiked: userId ? { $gt: [{ $size: "$isLiked" }, 0] } : false,
+    },
+  },
+];
+
+export default lookupLikes;
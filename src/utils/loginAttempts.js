@@ -0,0 +1,230 @@
+import { LoginAttempt } from "../models/loginAttempt.model.js";
+import {
+  LOGIN_FAILURE_WINDOW_MINUTES,
+  LOGIN_LOCKOUT_BASE_SECONDS,
+  LOGIN_LOCKOUT_MAX_SECONDS,
+} from "../constants.js";
+
+const MEMORY_STORE_MAX_KEYS = 10000;
+
+/**
+ * Keeps the counters in the process. Good for a single instance and tests;
+ * counters are lost on restart and not shared between instances.
+ */
+const createMemoryStore = () => {
+  const records = new Map();
+
+  const read = (key) => {
+    const record = records.get(key);
+    if (record && record.expiresAt <= Date.now()) {
+      records.delete(key);
+      return null;
+    }
+    return record || null;
+  };
+
+  const sweep = () => {
+    if (records.size < MEMORY_STORE_MAX_KEYS) return;
+    for (const key of records.keys()) read(key);
+  };
+
+  return {
+    get: async (key) => {
+      const record = read(key);
+      return record
+        ? { failures: record.failures, lockedUntil: record.lockedUntil }
+        : null;
+    },
+    increment: async (key, windowMs) => {
+      sweep();
+      const record = read(key) || { failures: 0, lockedUntil: null };
+      record.failures += 1;
+      record.expiresAt = Math.max(
+        Date.now() + windowMs,
+        record.lockedUntil?.getTime() || 0
+      );
+      records.set(key, record);
+      return { failures: record.failures, lockedUntil: record.lockedUntil };
+    },
+    lock: async (key, lockedUntil) => {
+      const record = read(key);
+      if (!record) return;
+      record.lockedUntil = lockedUntil;
+      record.expiresAt = Math.max(record.expiresAt, lockedUntil.getTime());
+    },
+    reset: async (key) => {
+      records.delete(key);
+    },
+  };
+};
+
+/**
+ * Keeps the counters in MongoDB so they survive restarts and are shared by
+ * every instance of the API.
+ */
+const createMongoStore = () => ({
+  get: async (key) =>
+    LoginAttempt.findOne({ key, expiresAt: { $gt: new Date() } })
+      .select("failures lockedUntil")
+      .lean(),
+  increment: async (key, windowMs) => {
+    const now = new Date();
+    const update = [
+      {
+        $set: {
+          failures: {
+            $cond: [
+              { $gt: ["$expiresAt", now] },
+              { $add: [{ $ifNull: ["$failures", 0] }, 1] },
+              1,
+            ],
+          },
+          lockedUntil: {
+            $cond: [{ $gt: ["$expiresAt", now] }, "$lockedUntil", null],
+          },
+          expiresAt: {
+            $max: [new Date(now.getTime() + windowMs), "$lockedUntil"],
+          },
+        },
+      },
+    ];
+
+    /**
+     * Two parallel first failures can both try to insert the counter, the
+     * loser retries as an update.
+     */
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await LoginAttempt.findOneAndUpdate({ key }, update, {
+          upsert: true,
+          new: true,
+        })
+          .select("failures lockedUntil")
+          .lean();
+      } catch (error) {
+        if (error?.code !== 11000 || attempt > 0) throw error;
+      }
+    }
+  },
+  lock: async (key, lockedUntil) => {
+    await LoginAttempt.updateOne({ key }, [
+      {
+        $set: {
+          lockedUntil,
+          expiresAt: { $max: ["$expiresAt", lockedUntil] },
+        },
+      },
+    ]);
+  },
+  reset: async (key) => {
+    await LoginAttempt.deleteOne({ key });
+  },
+});
+
+/**
+ * Login attempt stores, selected with the `LOGIN_ATTEMPT_STORE` environment
+ * variable: `memory` (default) or `mongo`. A store implements
+ * `get(key)`, `increment(key, windowMs)`, `lock(key, lockedUntil)` and
+ * `reset(key)`; others are plugged in with `registerLoginAttemptStore`.
+ */
+const storeFactories = {
+  memory: createMemoryStore,
+  mongo: createMongoStore,
+};
+const stores = {};
+
+/**
+ * Registers (or replaces) a login attempt store.
+ *
+ * @param {string} name - The name used in `LOGIN_ATTEMPT_STORE`.
+ * @param {Object} store - The store implementation.
+ */
+const registerLoginAttemptStore = (name, store) => {
+  for (const method of ["get", "increment", "lock", "reset"]) {
+    if (typeof store?.[method] !== "function") {
+      throw new Error(`Login attempt store "${name}" must implement ${method}`);
+    }
+  }
+  storeFactories[name] = () => store;
+  delete stores[name];
+};
+
+const getStore = () => {
+  const name = process.env.LOGIN_ATTEMPT_STORE || "memory";
+
+  if (!stores[name]) {
+    if (!storeFactories[name]) {
+      throw new Error(`Unknown login attempt store "${name}"`);
+    }
+    stores[name] = storeFactories[name]();
+  }
+
+  return stores[name];
+};
+
+/**
+ * Returns the lock that applies to a login, the latest of the given keys.
+ *
+ * @param {string[]} keys - The counter keys, e.g. the account and the IP.
+ * @returns {Promise<Date|null>} - When the login is allowed again, or null if it is not locked.
+ */
+const getLoginLock = async (keys) => {
+  const store = getStore();
+  const records = await Promise.all(keys.map((key) => store.get(key)));
+  const now = Date.now();
+
+  const lockedUntil = records
+    .map((record) => record?.lockedUntil)
+    .filter((date) => date && new Date(date).getTime() > now)
+    .map((date) => new Date(date))
+    .sort((a, b) => b - a)[0];
+
+  return lockedUntil || null;
+};
+
+/**
+ * Counts a failed login for every key and locks the keys that reached their
+ * limit. The lock doubles with every further failure (exponential backoff)
+ * up to `LOGIN_LOCKOUT_MAX_SECONDS`. Counters are forgotten after
+ * `LOGIN_FAILURE_WINDOW_MINUTES` without failures.
+ *
+ * @param {{ key: string, maxFailures: number }[]} limits - The keys and their limits.
+ * @returns {Promise<{ key: string, failures: number, lockedUntil: Date }[]>} - The locks set by this failure.
+ */
+const registerLoginFailure = async (limits) => {
+  const store = getStore();
+  const windowMs = LOGIN_FAILURE_WINDOW_MINUTES * 60 * 1000;
+  const locks = [];
+
+  for (const { key, maxFailures } of limits) {
+    const { failures } = await store.increment(key, windowMs);
+
+    if (failures >= maxFailures) {
+      const seconds = Math.min(
+        LOGIN_LOCKOUT_BASE_SECONDS * 2 ** (failures - maxFailures),
+        LOGIN_LOCKOUT_MAX_SECONDS
+      );
+      const lockedUntil = new Date(Date.now() + seconds * 1000);
+
+      await store.lock(key, lockedUntil);
+      locks.push({ key, failures, lockedUntil });
+    }
+  }
+
+  return locks;
+};
+
+/**
+ * Forgets the failed logins of a key, e.g. after a successful login.
+ *
+ * @param {string} key - The counter key.
+ * @returns {Promise<void>}
+ */
+const clearLoginFailures = async (key) => getStore().reset(key);
+
+export {
+  getLoginLock,
+  registerLoginFailure,
+  clearLoginFailures,
+  registerLoginAttemptStore,
+};
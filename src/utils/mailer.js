@@ -0,0 +1,112 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+
+/**
+ * Mail transports, selected with the `MAIL_TRANSPORT` environment variable.
+ * A transport is an async function receiving `{ from, to, subject, text, html }`.
+ *
+ * - `console` prints the message, handy during development. It is the
+ *   default outside production; in production, where it would write reset
+ *   and verification tokens to the logs, it must be chosen explicitly.
+ * - `file` writes every message as a JSON file to `MAIL_FILE_DIR`
+ *   (defaults to `<os tmpdir>/be-cac-pro-mails`), handy for tests.
+ *
+ * Real providers (SMTP, SES, ...) are plugged in with `registerMailTransport`.
+ */
+const transports = {
+  console: async (message) => {
+    console.log(
+      `MAIL to: ${message.to} | subject: ${message.subject}\n${message.text}`
+    );
+    return { transport: "console" };
+  },
+  file: async (message) => {
+    const directory =
+      process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), "be-cac-pro-mails");
+
+    await fs.promises.mkdir(directory, { recursive: true });
+
+    const file = path.join(
+      directory,
+      `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.json`
+    );
+
+    await fs.promises.writeFile(
+      file,
+      JSON.stringify({ ...message, date: new Date() }, null, 2)
+    );
+    return { transport: "file", file };
+  },
+};
+
+/**
+ * Registers (or replaces) a mail transport.
+ *
+ * @param {string} name - The name used in `MAIL_TRANSPORT`.
+ * @param {Function} send - Async function receiving the message.
+ */
+const registerMailTransport = (name, send) => {
+  if (typeof send !== "function") {
+    throw new Error(`Mail transport "${name}" must be a function`);
+  }
+  transports[name] = send;
+};
+
+/**
+ * Resolves the configured transport.
+ *
+ * @returns {Function} - The transport.
+ * @throws {Error} - If no transport is configured in production, or the configured one does not exist.
+ */
+const getMailTransport = () => {
+  const name =
+    process.env.MAIL_TRANSPORT ||
+    (process.env.NODE_ENV === "production" ? null : "console");
+
+  if (!name) {
+    throw new Error("MAIL_TRANSPORT must be set in production");
+  }
+
+  if (!transports[name]) {
+    throw new Error(`Unknown mail transport "${name}"`);
+  }
+
+  return transports[name];
+};
+
+/**
+ * Checks the mail configuration at startup, so a missing transport fails
+ * the deploy rather than the first email.
+ *
+ * @throws {Error} - If the mail transport is missing or unknown.
+ */
+const checkMailTransport = () => {
+  getMailTransport();
+};
+
+/**
+ * Sends an email through the configured transport.
+ *
+ * @param {Object} message - The message to send.
+ * @param {string} message.to - The recipient address.
+ * @param {string} message.subject - The subject line.
+ * @param {string} message.text - The plain text body.
+ * @param {string} [message.html] - The optional HTML body.
+ * @returns {Promise<Object>} - The transport's result.
+ * @throws {Error} - If no transport is configured in production, or the configured one does not exist.
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  const transport = getMailTransport();
+
+  return transport({
+    from: process.env.MAIL_FROM || "no-reply@be-cac-pro.local",
+    to,
+    subject,
+    text,
+    html,
+  });
+};
+
+export { sendMail, registerMailTransport, checkMailTransport };
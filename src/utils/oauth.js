@@ -0,0 +1,254 @@
+import crypto from "crypto";
+
+const OAUTH_REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Maps a standard OpenID Connect userinfo response to our profile shape.
+ *
+ * @param {Object} claims - The userinfo claims.
+ * @returns {Object} - The normalized profile.
+ */
+const mapOidcProfile = (claims) => ({
+  id: claims.sub,
+  email: claims.email,
+  emailVerified: claims.email_verified === true,
+  name: claims.name,
+  userName: claims.preferred_username,
+  avatar: claims.picture,
+});
+
+/**
+ * OAuth2 providers. A provider describes its endpoints and how to turn its
+ * user info into a profile `{ id, email, emailVerified, name, userName, avatar }`.
+ * Credentials come from `OAUTH_<NAME>_CLIENT_ID` / `OAUTH_<NAME>_CLIENT_SECRET`
+ * and a provider without a client id is disabled.
+ *
+ * Every endpoint can be overridden with `OAUTH_<NAME>_AUTHORIZATION_URL`,
+ * `OAUTH_<NAME>_TOKEN_URL` and `OAUTH_<NAME>_USERINFO_URL`, e.g. to point a
+ * provider at a local mock identity provider in tests. Other providers are
+ * plugged in with `registerOAuthProvider`.
+ */
+const providers = {
+  google: {
+    authorizationUrl: "https://accounts.google.com/o/oauth2/v2/auth",
+    tokenUrl: "https://oauth2.googleapis.com/token",
+    userInfoUrl: "https://openidconnect.googleapis.com/v1/userinfo",
+    scope: "openid email profile",
+    mapProfile: mapOidcProfile,
+  },
+  github: {
+    authorizationUrl: "https://github.com/login/oauth/authorize",
+    tokenUrl: "https://github.com/login/oauth/access_token",
+    userInfoUrl: "https://api.github.com/user",
+    emailsUrl: "https://api.github.com/user/emails",
+    scope: "read:user user:email",
+    mapProfile: (user) => ({
+      id: String(user.id),
+      email: user.email,
+      emailVerified: false,
+      name: user.name,
+      userName: user.login,
+      avatar: user.avatar_url,
+    }),
+    /**
+     * The public profile email of GitHub users is optional and carries no
+     * verification flag, so the primary verified address is read instead.
+     */
+    extendProfile: async (profile, accessToken, provider) => {
+      const emails = await requestJson(provider.emailsUrl, {
+        headers: { Authorization: `Bearer ${accessToken}` },
+      });
+      const primary = Array.isArray(emails)
+        ? emails.find((item) => item.primary && item.verified)
+        : null;
+
+      return primary
+        ? { ...profile, email: primary.email, emailVerified: true }
+        : profile;
+    },
+  },
+};
+
+/**
+ * Registers (or replaces) an OAuth2 provider.
+ *
+ * @param {string} name - The provider name used in the URLs and env variables.
+ * @param {Object} config - The provider definition.
+ * @param {string} config.authorizationUrl - The authorization endpoint.
+ * @param {string} config.tokenUrl - The token endpoint.
+ * @param {string} config.userInfoUrl - The user info endpoint.
+ * @param {string} [config.scope] - The requested scopes, defaults to OIDC's.
+ * @param {Function} [config.mapProfile] - Maps the user info to a profile, defaults to OIDC claims.
+ */
+const registerOAuthProvider = (name, config) => {
+  if (!config?.authorizationUrl || !config.tokenUrl || !config.userInfoUrl) {
+    throw new Error(`OAuth provider "${name}" is missing an endpoint`);
+  }
+  providers[name] = {
+    scope: "openid email profile",
+    mapProfile: mapOidcProfile,
+    ...config,
+  };
+};
+
+/**
+ * Returns a provider with its credentials and env overrides applied.
+ *
+ * @param {string} name - The provider name.
+ * @returns {Object|null} - The provider, or null if unknown or not configured.
+ */
+const getOAuthProvider = (name) => {
+  if (!Object.hasOwn(providers, name)) return null;
+
+  const prefix = `OAUTH_${name.toUpperCase()}_`;
+  const env = (key) => process.env[`${prefix}${key}`];
+  const provider = providers[name];
+
+  const clientId = env("CLIENT_ID") || provider.clientId;
+  if (!clientId) return null;
+
+  return {
+    ...provider,
+    name,
+    clientId,
+    clientSecret: env("CLIENT_SECRET") || provider.clientSecret,
+    authorizationUrl: env("AUTHORIZATION_URL") || provider.authorizationUrl,
+    tokenUrl: env("TOKEN_URL") || provider.tokenUrl,
+    userInfoUrl: env("USERINFO_URL") || provider.userInfoUrl,
+    scope: env("SCOPE") || provider.scope,
+  };
+};
+
+/**
+ * Generates a PKCE code verifier and its S256 challenge (RFC 7636).
+ *
+ * @returns {{ codeVerifier: string, codeChallenge: string }}
+ */
+const generatePkcePair = () => {
+  const codeVerifier = crypto.randomBytes(32).toString("base64url");
+  const codeChallenge = crypto
+    .createHash("sha256")
+    .update(codeVerifier)
+    .digest("base64url");
+
+  return { codeVerifier, codeChallenge };
+};
+
+/**
+ * Builds the URL the user is sent to in order to sign in with the provider.
+ *
+ * @param {Object} provider - The provider from `getOAuthProvider`.
+ * @param {Object} options
+ * @param {string} options.state - The anti-CSRF state.
+ * @param {string} options.codeChallenge - The PKCE challenge.
+ * @param {string} options.redirectUri - Where the provider sends the user back.
+ * @returns {string} - The authorization URL.
+ */
+const getAuthorizationUrl = (
+  provider,
+  { state, codeChallenge, redirectUri }
+) => {
+  const url = new URL(provider.authorizationUrl);
+
+  url.search = new URLSearchParams({
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    scope: provider.scope,
+    state,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+  }).toString();
+
+  return url.toString();
+};
+
+/**
+ * Performs an HTTP request and parses the JSON response.
+ *
+ * @param {string} url - The URL to call.
+ * @param {Object} [options] - The `fetch` options.
+ * @returns {Promise<Object>} - The parsed body.
+ * @throws {Error} - If the request fails or the response is not successful.
+ */
+const requestJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: "application/json", ...options.headers },
+    signal: AbortSignal.timeout(OAUTH_REQUEST_TIMEOUT_MS),
+  });
+
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok || !body) {
+    throw new Error(
+      `OAuth request to ${url} failed with status ${response.status}`
+    );
+  }
+
+  return body;
+};
+
+/**
+ * Exchanges the authorization code for the provider's tokens and loads the
+ * signed-in user's profile.
+ *
+ * @param {Object} provider - The provider from `getOAuthProvider`.
+ * @param {Object} options
+ * @param {string} options.code - The authorization code.
+ * @param {string} options.codeVerifier - The PKCE verifier of the flow.
+ * @param {string} options.redirectUri - The redirect URI used for the authorization.
+ * @returns {Promise<Object>} - The normalized profile.
+ * @throws {Error} - If the provider rejects the code or returns no user id.
+ */
+const fetchOAuthProfile = async (
+  provider,
+  { code, codeVerifier, redirectUri }
+) => {
+  const tokens = await requestJson(provider.tokenUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: redirectUri,
+      client_id: provider.clientId,
+      code_verifier: codeVerifier,
+      ...(provider.clientSecret
+        ? { client_secret: provider.clientSecret }
+        : {}),
+    }).toString(),
+  });
+
+  if (!tokens.access_token) {
+    throw new Error(tokens.error_description || "No access token received");
+  }
+
+  const userInfo = await requestJson(provider.userInfoUrl, {
+    headers: { Authorization: `Bearer ${tokens.access_token}` },
+  });
+
+  let profile = provider.mapProfile(userInfo);
+
+  if (provider.extendProfile) {
+    profile = await provider.extendProfile(
+      profile,
+      tokens.access_token,
+      provider
+    );
+  }
+
+  if (!profile.id) {
+    throw new Error("The provider returned no user id");
+  }
+
+  return { ...profile, id: String(profile.id) };
+};
+
+export {
+  registerOAuthProvider,
+  getOAuthProvider,
+  generatePkcePair,
+  getAuthorizationUrl,
+  fetchOAuthProfile,
+};
@@ -0,0 +1,64 @@
+import { PREPAGINATION_PLACEHOLDER } from "mongoose-aggregate-paginate-v2";
+
+const DEFAULT_PAGE = 1;
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+/**
+ * Builds the options object for `aggregatePaginate` from the request query.
+ * `page` and `limit` are coerced to positive integers and `limit` is capped
+ * so a client cannot ask for the whole collection in one request.
+ *
+ * @param {Object} query - The Express request query.
+ * @param {string} [query.page] - The page number (1 based).
+ * @param {string} [query.limit] - The number of documents per page.
+ * @returns {{ page: number, limit: number }} - The pagination options.
+ */
+const getPaginationOptions = (query = {}) => {
+  const page = Math.max(parseInt(query.page, 10) || DEFAULT_PAGE, 1);
+  const limit = Math.min(
+    Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1),
+    MAX_LIMIT
+  );
+
+  return { page, limit };
+};
+
+/**
+ * Runs a paginated aggregation whose page is cut before `lookups`, so the
+ * lookups run for the documents of the requested page only rather than for
+ * every match. The total is counted from `match` alone.
+ *
+ * `lookups` must keep the number and order of the documents (`$lookup`,
+ * `$addFields`, `$project`, ...).
+ *
+ * @param {Model} Model - The model to aggregate.
+ * @param {Object} pipeline - The aggregation parts.
+ * @param {Object} pipeline.match - The `$match` filter.
+ * @param {Object[]} [pipeline.stages] - Cheap stages run before sorting, e.g. computing a score.
+ * @param {Object} pipeline.sort - The `$sort` specification.
+ * @param {Object[]} [pipeline.lookups] - The stages run on the page only.
+ * @param {Object} query - The Express request query.
+ * @returns {Promise<Object>} - The `aggregatePaginate` result.
+ */
+const paginateBeforeLookups = (
+  Model,
+  { match, stages = [], sort, lookups = [] },
+  query
+) =>
+  Model.aggregatePaginate(
+    [
+      { $match: match },
+      ...stages,
+      { $sort: sort },
+      PREPAGINATION_PLACEHOLDER,
+      ...lookups,
+    ],
+    {
+      ...getPaginationOptions(query),
+      countQuery: Model.aggregate([{ $match: match }]),
+    }
+  );
+
+export { paginateBeforeLookups };
+export default getPaginationOptions;
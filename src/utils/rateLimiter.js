@@ -0,0 +1,193 @@
+import { RateLimit } from "../models/rateLimit.model.js";
+
+const MEMORY_STORE_MAX_KEYS = 10000;
+
+/**
+ * Keeps the buckets in the process. Good for a single instance and tests;
+ * limits are reset on restart and not shared between instances.
+ */
+const createMemoryStore = () => {
+  const buckets = new Map();
+
+  const read = (key, now) => {
+    const bucket = buckets.get(key);
+    if (bucket && bucket.expiresAt <= now) {
+      buckets.delete(key);
+      return null;
+    }
+    return bucket || null;
+  };
+
+  const sweep = (now) => {
+    if (buckets.size < MEMORY_STORE_MAX_KEYS) return;
+    for (const key of buckets.keys()) read(key, now);
+  };
+
+  return {
+    consume: async (key, { capacity, refillPerMs }) => {
+      const now = Date.now();
+      sweep(now);
+
+      const bucket = read(key, now);
+      let tokens = bucket
+        ? Math.min(
+            capacity,
+            bucket.tokens + (now - bucket.refilledAt) * refillPerMs
+          )
+        : capacity;
+
+      const allowed = tokens >= 1;
+      if (allowed) tokens -= 1;
+
+      buckets.set(key, {
+        tokens,
+        refilledAt: now,
+        expiresAt: now + (capacity - tokens) / refillPerMs,
+      });
+
+      return { allowed, tokens };
+    },
+  };
+};
+
+/**
+ * Keeps the buckets in MongoDB so limits survive restarts and are shared by
+ * every instance of the API. The refill and the take happen in one atomic
+ * update, so parallel requests cannot spend the same token.
+ */
+const createMongoStore = () => ({
+  consume: async (key, { capacity, refillPerMs }) => {
+    const now = new Date();
+    const update = [
+      {
+        $set: {
+          tokens: {
+            $min: [
+              capacity,
+              {
+                $add: [
+                  { $ifNull: ["$tokens", capacity] },
+                  {
+                    $multiply: [
+                      {
+                        $max: [
+                          0,
+                          {
+                            $subtract: [now, { $ifNull: ["$refilledAt", now] }],
+                          },
+                        ],
+                      },
+                      refillPerMs,
+                    ],
+                  },
+                ],
+              },
+            ],
+          },
+          refilledAt: now,
+        },
+      },
+      { $set: { allowed: { $gte: ["$tokens", 1] } } },
+      {
+        $set: {
+          tokens: {
+            $cond: ["$allowed", { $subtract: ["$tokens", 1] }, "$tokens"],
+          },
+        },
+      },
+      {
+        $set: {
+          expiresAt: {
+            $add: [
+              now,
+              { $divide: [{ $subtract: [capacity, "$tokens"] }, refillPerMs] },
+            ],
+          },
+        },
+      },
+    ];
+
+    /**
+     * Two parallel first requests can both try to insert the bucket, the
+     * loser retries as an update.
+     */
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await RateLimit.findOneAndUpdate({ key }, update, {
+          upsert: true,
+          new: true,
+        })
+          .select("allowed tokens")
+          .lean();
+      } catch (error) {
+        if (error?.code !== 11000 || attempt > 0) throw error;
+      }
+    }
+  },
+});
+
+/**
+ * Rate limit stores, selected with the `RATE_LIMIT_STORE` environment
+ * variable: `memory` (default) or `mongo`. A store implements
+ * `consume(key, { capacity, refillPerMs })`, which refills the key's bucket,
+ * takes a token if one is left and resolves to `{ allowed, tokens }`; others
+ * are plugged in with `registerRateLimitStore`.
+ */
+const storeFactories = {
+  memory: createMemoryStore,
+  mongo: createMongoStore,
+};
+const stores = {};
+
+/**
+ * Registers (or replaces) a rate limit store.
+ *
+ * @param {string} name - The name used in `RATE_LIMIT_STORE`.
+ * @param {Object} store - The store implementation.
+ */
+const registerRateLimitStore = (name, store) => {
+  if (typeof store?.consume !== "function") {
+    throw new Error(`Rate limit store "${name}" must implement consume`);
+  }
+  storeFactories[name] = () => store;
+  delete stores[name];
+};
+
+const getStore = () => {
+  const name = process.env.RATE_LIMIT_STORE || "memory";
+
+  if (!stores[name]) {
+    if (!storeFactories[name]) {
+      throw new Error(`Unknown rate limit store "${name}"`);
+    }
+    stores[name] = storeFactories[name]();
+  }
+
+  return stores[name];
+};
+
+/**
+ * Spends one request of a key with a token bucket: the bucket holds up to
+ * `limit` requests and refills at `limit` requests per `windowMs`, so short
+ * bursts are allowed while the average rate stays capped.
+ *
+ * @param {string} key - The bucket key.
+ * @param {{ limit: number, windowMs: number }} policy - The limit.
+ * @returns {Promise<{ allowed: boolean, remaining: number, resetMs: number, retryAfterMs: number }>} - Whether the request is allowed, the requests left, the time until the bucket is full again and, when refused, until the next request is allowed.
+ */
+const consumeRateLimit = async (key, { limit, windowMs }) => {
+  const refillPerMs = limit / windowMs;
+  const { allowed, tokens } = await getStore().consume(key, {
+    capacity: limit,
+    refillPerMs,
+  });
+
+  return {
+    allowed,
+    remaining: Math.floor(tokens),
+    resetMs: (limit - tokens) / refillPerMs,
+    retryAfterMs: allowed ? 0 : (1 - tokens) / refillPerMs,
+  };
+};
+
+export { consumeRateLimit, registerRateLimitStore };
@@ -0,0 +1,111 @@
+const MAX_SEARCH_TERMS = 5;
+const PREFIX_ONLY_LENGTH = 4;
+
+/**
+ * Escapes the characters that have a special meaning inside a RegExp.
+ *
+ * @param {string} value - The raw user input.
+ * @returns {string} - The input safe to embed in a RegExp.
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Escapes HTML so user content can be wrapped in `<mark>` tags safely.
+ *
+ * @param {string} value - The text to escape.
+ * @returns {string} - The escaped text.
+ */
+const escapeHtml = (value) =>
+  value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Splits a search query into lowercase terms, keeping at most `MAX_SEARCH_TERMS`.
+ *
+ * @param {string} query - The search query.
+ * @returns {string[]} - The unique search terms.
+ */
+const getSearchTerms = (query = "") => [
+  ...new Set(
+    query.toLowerCase().split(/\s+/).filter(Boolean).slice(0, MAX_SEARCH_TERMS)
+  ),
+];
+
+/**
+ * Builds a RegExp source that matches words starting with `term`, tolerating
+ * a single typo (one substituted, missing or extra character) for terms long
+ * enough for that to be meaningful. Very short terms are matched as prefixes only.
+ *
+ * @param {string} term - A single search term.
+ * @returns {string} - The RegExp source.
+ */
+const buildTermPattern = (term) => {
+  const chars = [...term].map(escapeRegex);
+
+  if (chars.length < PREFIX_ONLY_LENGTH) {
+    return `\\b${chars.join("")}`;
+  }
+
+  const variants = new Set([chars.join("")]);
+
+  chars.forEach((_, index) => {
+    const substituted = [...chars];
+    substituted[index] = ".";
+    variants.add(substituted.join(""));
+    variants.add(chars.filter((__, i) => i !== index).join(""));
+  });
+
+  for (let index = 0; index <= chars.length; index++) {
+    const inserted = [...chars];
+    inserted.splice(index, 0, ".");
+    variants.add(inserted.join(""));
+  }
+
+  return `\\b(?:${[...variants].join("|")})`;
+};
+
+/**
+ * Highlights every word matched by the given patterns with `<mark>` tags. When
+ * `maxLength` is set the text is cut into a snippet around the first match.
+ *
+ * @param {string} text - The text to highlight.
+ * @param {string[]} patterns - RegExp sources built by `buildTermPattern`.
+ * @param {number} [maxLength] - The maximum snippet length before highlighting.
+ * @returns {string} - The HTML-escaped, highlighted snippet.
+ */
+const highlightText = (text = "", patterns = [], maxLength) => {
+  if (!text || !patterns.length) return escapeHtml(text || "");
+
+  const matcher = new RegExp(`((?:${patterns.join("|")})\\w*)`, "gi");
+  let snippet = text;
+
+  if (maxLength && text.length > maxLength) {
+    const firstMatch = Math.max(text.search(matcher), 0);
+    const start = Math.max(firstMatch - Math.floor(maxLength / 3), 0);
+    const end = Math.min(start + maxLength, text.length);
+
+    snippet =
+      (start > 0 ? "…" : "") +
+      text.slice(start, end) +
+      (end < text.length ? "…" : "");
+  }
+
+  // split() with a capturing group alternates between plain text and matches
+  return snippet
+    .split(matcher)
+    .map((part, index) =>
+      index % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)
+    )
+    .join("");
+};
+
+export {
+  escapeRegex,
+  escapeHtml,
+  getSearchTerms,
+  buildTermPattern,
+  highlightText,
+};
@@ -0,0 +1,156 @@
+import fs from "fs";
+import cloudinaryDriver from "./cloudinary.js";
+import diskStorageDriver from "./diskStorage.js";
+
+const DRIVER_METHODS = [
+  "upload",
+  "delete",
+  "getUrl",
+  "getMetadata",
+  "assetIdFromUrl",
+];
+
+/**
+ * Storage drivers, selected with the `STORAGE_DRIVER` environment variable:
+ * `cloudinary` (default) or `local`. A driver implements
+ * `upload(localFilePath, { isPrivate })`, `delete(assetId)`,
+ * `getUrl(assetId, options)`,
+ * `getMetadata(assetId)` and `assetIdFromUrl(url)`; others (S3, ...) are
+ * plugged in with `registerStorageDriver`.
+ *
+ * The asset ids handed out are prefixed with the driver name, e.g.
+ * `cloudinary:video/abc123`, so a file is always deleted from the driver
+ * that stored it, even after `STORAGE_DRIVER` changed.
+ */
+const drivers = {
+  cloudinary: cloudinaryDriver,
+  local: diskStorageDriver,
+};
+
+/**
+ * Registers (or replaces) a storage driver.
+ *
+ * @param {string} name - The name used in `STORAGE_DRIVER`.
+ * @param {Object} driver - The driver implementation.
+ */
+const registerStorageDriver = (name, driver) => {
+  for (const method of DRIVER_METHODS) {
+    if (typeof driver?.[method] !== "function") {
+      throw new Error(`Storage driver "${name}" must implement ${method}`);
+    }
+  }
+  drivers[name] = driver;
+};
+
+const getDriver = (name) => {
+  if (!drivers[name]) {
+    throw new Error(`Unknown storage driver "${name}"`);
+  }
+  return drivers[name];
+};
+
+/**
+ * Finds the driver of a stored file. Documents saved before asset ids were
+ * stored only have the URL, so the drivers are asked to recognize it.
+ *
+ * @param {{ assetId?: string, url?: string }} file - The stored file.
+ * @returns {{ driver: Object, id: string }|null} - The driver and its own id of the file.
+ */
+const findAsset = ({ assetId, url } = {}) => {
+  if (assetId) {
+    const index = assetId.indexOf(":");
+    if (index < 1) throw new Error(`Invalid asset id "${assetId}"`);
+
+    return {
+      driver: getDriver(assetId.slice(0, index)),
+      id: assetId.slice(index + 1),
+    };
+  }
+
+  if (url) {
+    for (const driver of Object.values(drivers)) {
+      const id = driver.assetIdFromUrl(url);
+      if (id) return { driver, id };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Stores an uploaded temp file with the configured driver. The temp file is
+ * removed whether the upload succeeds or fails. Private files are only
+ * delivered through signed links, so their `url` must not be saved; build a
+ * fresh one with `getFileUrl` whenever it is needed.
+ *
+ * @param {string} localFilePath - The path of the temp file.
+ * @param {Object} [options] - The upload options.
+ * @param {boolean} [options.isPrivate] - Whether the file needs a signed link to be downloaded.
+ * @returns {Promise<{ assetId: string, url: string, bytes: number, mimetype: string, duration?: number }|null>} - The stored file, or null on failure.
+ */
+const uploadFile = async (localFilePath, options) => {
+  if (!localFilePath) return null;
+
+  const name = process.env.STORAGE_DRIVER || "cloudinary";
+
+  try {
+    const file = await getDriver(name).upload(localFilePath, options);
+    return { ...file, assetId: `${name}:${file.assetId}` };
+  } catch (error) {
+    console.log(error);
+    return null;
+  } finally {
+    await fs.promises.rm(localFilePath, { force: true });
+  }
+};
+
+/**
+ * Deletes a stored file. Failures are logged rather than thrown, since the
+ * document referencing the file is usually already updated.
+ *
+ * @param {{ assetId?: string, url?: string }} file - The asset id and URL saved on the document.
+ * @returns {Promise<boolean>} - Whether the file was deleted.
+ */
+const deleteFile = async (file) => {
+  try {
+    const asset = findAsset(file);
+    return asset ? await asset.driver.delete(asset.id) : false;
+  } catch (error) {
+    console.log(error);
+    return false;
+  }
+};
+
+/**
+ * Builds the URL of a stored file.
+ *
+ * @param {string} assetId - The asset id.
+ * @param {Object} [options] - The URL options.
+ * @param {boolean} [options.signed] - Whether to sign the URL of a public file; links to private files are always signed.
+ * @param {number} [options.expiresInSeconds] - How long a signed URL stays valid, where the driver supports it.
+ * @returns {string|null} - The URL, or null without an asset id.
+ */
+const getFileUrl = (assetId, options) => {
+  const asset = findAsset({ assetId });
+  return asset ? asset.driver.getUrl(asset.id, options) : null;
+};
+
+/**
+ * Reads the metadata of a stored file.
+ *
+ * @param {string} assetId - The asset id.
+ * @returns {Promise<{ assetId: string, url: string, bytes: number, mimetype: string, createdAt: Date }|null>} - The metadata (plus `width`, `height` and `duration` where known), or null if the file does not exist.
+ */
+const getFileMetadata = async (assetId) => {
+  const asset = findAsset({ assetId });
+  const metadata = asset ? await asset.driver.getMetadata(asset.id) : null;
+  return metadata ? { ...metadata, assetId } : null;
+};
+
+export {
+  uploadFile,
+  deleteFile,
+  getFileUrl,
+  getFileMetadata,
+  registerStorageDriver,
+};
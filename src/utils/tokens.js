@@ -0,0 +1,23 @@
+import crypto from "crypto";
+
+/**
+ * Hashes a token before it is stored, so a leaked database cannot be used
+ * to replay refresh or one-time tokens. The tokens are long random values,
+ * so a fast unsalted SHA-256 is enough here (unlike passwords).
+ *
+ * @param {string} token - The raw token.
+ * @returns {string} - The hex encoded SHA-256 hash.
+ */
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+/**
+ * Generates a URL safe random token.
+ *
+ * @param {number} [bytes=32] - The number of random bytes.
+ * @returns {string} - The hex encoded token.
+ */
+const generateRandomToken = (bytes = 32) =>
+  crypto.randomBytes(bytes).toString("hex");
+
+export { hashToken, generateRandomToken };
@@ -0,0 +1,189 @@
+import crypto from "crypto";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+
+/**
+ * Encodes bytes as RFC 4648 base32 without padding, the format
+ * authenticator apps expect for secrets.
+ *
+ * @param {Buffer} buffer - The bytes to encode.
+ * @returns {string} - The base32 string.
+ */
+const base32Encode = (buffer) => {
+  let bits = "";
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return output;
+};
+
+/**
+ * Decodes a base32 string, ignoring case, spaces and padding.
+ *
+ * @param {string} value - The base32 string.
+ * @returns {Buffer} - The decoded bytes.
+ */
+const base32Decode = (value) => {
+  let bits = "";
+  for (const char of value.toUpperCase().replace(/[\s=]/g, "")) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+    bits += index.toString(2).padStart(5, "0");
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Computes the HOTP code (RFC 4226) of a counter.
+ *
+ * @param {Buffer} key - The shared secret.
+ * @param {number} counter - The counter, the time step for TOTP.
+ * @returns {string} - The zero padded code.
+ */
+const generateHotp = (key, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac("sha1", key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+
+  return String(code).padStart(TOTP_DIGITS, "0");
+};
+
+/**
+ * Generates a new random TOTP secret.
+ *
+ * @returns {string} - The base32 encoded secret.
+ */
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Builds the `otpauth://` URI that authenticator apps import, usually
+ * rendered as a QR code by the client.
+ *
+ * @param {Object} options
+ * @param {string} options.secret - The base32 secret.
+ * @param {string} options.accountName - The account label, e.g. the email.
+ * @param {string} options.issuer - The service name shown in the app.
+ * @returns {string} - The otpauth URI.
+ */
+const getOtpauthUrl = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Checks a TOTP code (RFC 6238), accepting `window` steps of clock drift on
+ * either side. Steps up to `afterStep` are refused so a code cannot be
+ * replayed once used.
+ *
+ * @param {string} secret - The base32 secret.
+ * @param {string} code - The code entered by the user.
+ * @param {Object} [options]
+ * @param {number} [options.window=1] - The accepted drift in steps.
+ * @param {number} [options.afterStep] - The last step already used.
+ * @returns {number|null} - The matched time step, or null if the code is invalid.
+ */
+const verifyTotp = (secret, code, { window = 1, afterStep } = {}) => {
+  const normalizedCode = String(code ?? "").replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalizedCode)) return null;
+
+  const key = base32Decode(secret);
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    if (afterStep !== undefined && step <= afterStep) continue;
+
+    const expected = generateHotp(key, step);
+    if (
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalizedCode))
+    ) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Derives the key used to encrypt TOTP secrets at rest, from
+ * `TWO_FACTOR_ENCRYPTION_KEY` or, when unset, the access token secret.
+ *
+ * @returns {Buffer} - A 32 byte key.
+ */
+const getEncryptionKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(
+      process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.ACCESS_TOKEN_SECRET
+    )
+    .digest();
+
+/**
+ * Encrypts a TOTP secret with AES-256-GCM before it is stored. Unlike other
+ * tokens it cannot be hashed since the server needs it to check codes.
+ *
+ * @param {string} secret - The base32 secret.
+ * @returns {string} - `iv.tag.ciphertext`, each part base64 encoded.
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([
+    cipher.update(secret, "utf8"),
+    cipher.final(),
+  ]);
+
+  return [iv, cipher.getAuthTag(), encrypted]
+    .map((part) => part.toString("base64"))
+    .join(".");
+};
+
+/**
+ * Decrypts a secret produced by `encryptSecret`.
+ *
+ * @param {string} payload - The stored value.
+ * @returns {string} - The base32 secret.
+ */
+const decryptSecret = (payload) => {
+  const [iv, tag, encrypted] = payload
+    .split(".")
+    .map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    getEncryptionKey(),
+    iv
+  );
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString(
+    "utf8"
+  );
+};
+
+export {
+  generateTotpSecret,
+  getOtpauthUrl,
+  verifyTotp,
+  encryptSecret,
+  decryptSecret,
+};
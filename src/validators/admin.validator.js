@@ -0,0 +1,44 @@
+import { objectIdRule, paginationQuery } from "./common.validator.js";
+import { USER_ROLES, PERMISSIONS } from "../constants.js";
+
+export const getUsersSchema = {
+  query: {
+    ...paginationQuery,
+    q: { type: "string", maxLength: 100 },
+    role: { type: "string", enum: USER_ROLES },
+    banned: { type: "boolean" },
+  },
+};
+
+export const banUserSchema = {
+  params: { userId: objectIdRule },
+  body: { reason: { type: "string", maxLength: 500 } },
+};
+
+export const userIdSchema = {
+  params: { userId: objectIdRule },
+};
+
+export const updateUserRoleSchema = {
+  params: { userId: objectIdRule },
+  body: {
+    role: { type: "string", required: true, enum: USER_ROLES },
+    permissions: {
+      type: "array",
+      maxLength: 50,
+      items: { type: "string", enum: PERMISSIONS },
+    },
+  },
+};
+
+export const videoIdSchema = {
+  params: { videoId: objectIdRule },
+};
+
+export const getAuditLogsSchema = {
+  query: {
+    ...paginationQuery,
+    event: { type: "string", maxLength: 100 },
+    userId: { type: "objectId" },
+  },
+};
@@ -0,0 +1,30 @@
+import { objectIdRule, paginationQuery } from "./common.validator.js";
+
+const contentRule = { type: "string", required: true, maxLength: 2000 };
+
+export const getVideoCommentsSchema = {
+  params: { videoId: objectIdRule },
+  query: paginationQuery,
+};
+
+export const getCommentRepliesSchema = {
+  params: { commentId: objectIdRule },
+  query: paginationQuery,
+};
+
+export const addCommentSchema = {
+  params: { videoId: objectIdRule },
+  body: {
+    content: contentRule,
+    parentId: { type: "objectId" },
+  },
+};
+
+export const updateCommentSchema = {
+  params: { commentId: objectIdRule },
+  body: { content: contentRule },
+};
+
+export const commentIdSchema = {
+  params: { commentId: objectIdRule },
+};
@@ -0,0 +1,57 @@
+/**
+ * Field rules shared by the route schemas, see `validate.middleware.js`.
+ */
+
+export const objectIdRule = { type: "objectId", required: true };
+
+export const emailRule = {
+  type: "string",
+  lowercase: true,
+  maxLength: 254,
+  format: "email",
+};
+
+export const userNameRule = {
+  type: "string",
+  lowercase: true,
+  minLength: 3,
+  maxLength: 30,
+  pattern: /^[a-z0-9_.]+$/,
+  patternMessage: "may only contain letters, numbers, dots and underscores",
+};
+
+// for new passwords only; bcrypt ignores everything after 72 bytes
+export const passwordRule = {
+  type: "string",
+  trim: false,
+  minLength: 8,
+  maxLength: 72,
+  pattern: /^(?=.*[A-Za-z])(?=.*\d)/,
+  patternMessage: "must contain at least one letter and one number",
+};
+
+export const totpCodeRule = {
+  type: "string",
+  pattern: /^\d{6}$/,
+  patternMessage: "must be a 6 digit code",
+};
+
+export const paginationQuery = {
+  page: { type: "integer", min: 1 },
+  limit: { type: "integer", min: 1 },
+};
+
+export const dateRangeQuery = {
+  from: { type: "date" },
+  to: {
+    type: "date",
+    custom: (to, query) =>
+      to && query.from && new Date(query.from) > to
+        ? "must be after from"
+        : undefined,
+  },
+};
+
+export const imageFileRule = { maxCount: 1, mimeTypes: ["image/"] };
+
+export const videoFileRule = { maxCount: 1, mimeTypes: ["video/"] };
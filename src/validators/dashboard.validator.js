@@ -0,0 +1,9 @@
+import { paginationQuery, dateRangeQuery } from "./common.validator.js";
+
+export const channelStatsSchema = {
+  query: dateRangeQuery,
+};
+
+export const channelVideosSchema = {
+  query: paginationQuery,
+};
@@ -0,0 +1,17 @@
+import { objectIdRule, paginationQuery } from "./common.validator.js";
+
+export const videoLikeSchema = {
+  params: { videoId: objectIdRule },
+};
+
+export const commentLikeSchema = {
+  params: { commentId: objectIdRule },
+};
+
+export const postLikeSchema = {
+  params: { postId: objectIdRule },
+};
+
+export const likedVideosSchema = {
+  query: paginationQuery,
+};
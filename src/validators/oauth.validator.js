@@ -0,0 +1,23 @@
+const providerParams = {
+  provider: {
+    type: "string",
+    required: true,
+    lowercase: true,
+    maxLength: 50,
+    pattern: /^[a-z0-9_-]+$/,
+    patternMessage: "is not a valid provider name",
+  },
+};
+
+export const providerSchema = {
+  params: providerParams,
+};
+
+export const oauthCallbackSchema = {
+  params: providerParams,
+  query: {
+    code: { type: "string", maxLength: 2048 },
+    state: { type: "string", maxLength: 128 },
+    error: { type: "string", maxLength: 200 },
+  },
+};
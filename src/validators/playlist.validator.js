@@ -0,0 +1,40 @@
+import { objectIdRule, paginationQuery } from "./common.validator.js";
+
+const playlistFields = {
+  name: { type: "string", maxLength: 100 },
+  description: { type: "string", maxLength: 1000, allowEmpty: true },
+  visibility: { type: "string", enum: ["public", "private"] },
+};
+
+export const createPlaylistSchema = {
+  body: {
+    ...playlistFields,
+    name: { ...playlistFields.name, required: true },
+  },
+};
+
+export const playlistIdSchema = {
+  params: { playlistId: objectIdRule },
+};
+
+export const updatePlaylistSchema = {
+  params: { playlistId: objectIdRule },
+  body: playlistFields,
+};
+
+export const playlistVideoSchema = {
+  params: { playlistId: objectIdRule, videoId: objectIdRule },
+};
+
+export const reorderPlaylistSchema = {
+  params: { playlistId: objectIdRule },
+  body: {
+    videoId: objectIdRule,
+    position: { type: "integer", required: true, min: 0 },
+  },
+};
+
+export const userPlaylistsSchema = {
+  params: { userId: objectIdRule },
+  query: paginationQuery,
+};
@@ -0,0 +1,29 @@
+import {
+  objectIdRule,
+  paginationQuery,
+  imageFileRule,
+} from "./common.validator.js";
+
+export const createPostSchema = {
+  body: { content: { type: "string", required: true, maxLength: 1000 } },
+  files: { image: imageFileRule },
+};
+
+export const postFeedSchema = {
+  query: paginationQuery,
+};
+
+export const userPostsSchema = {
+  params: { userId: objectIdRule },
+  query: paginationQuery,
+};
+
+export const updatePostSchema = {
+  params: { postId: objectIdRule },
+  body: { content: { type: "string", maxLength: 1000 } },
+  files: { image: imageFileRule },
+};
+
+export const postIdSchema = {
+  params: { postId: objectIdRule },
+};
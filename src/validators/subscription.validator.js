@@ -0,0 +1,15 @@
+import { objectIdRule, paginationQuery } from "./common.validator.js";
+
+export const channelSchema = {
+  params: { channelId: objectIdRule },
+};
+
+export const channelSubscribersSchema = {
+  params: { channelId: objectIdRule },
+  query: paginationQuery,
+};
+
+export const subscribedChannelsSchema = {
+  params: { subscriberId: objectIdRule },
+  query: paginationQuery,
+};
@@ -0,0 +1,125 @@
+import {
+  objectIdRule,
+  emailRule,
+  userNameRule,
+  passwordRule,
+  totpCodeRule,
+  imageFileRule,
+} from "./common.validator.js";
+
+export const registerUserSchema = {
+  body: {
+    userName: { ...userNameRule, required: true },
+    fullName: { type: "string", required: true, maxLength: 100 },
+    email: { ...emailRule, required: true },
+    password: { ...passwordRule, required: true },
+  },
+  files: {
+    avatarImage: { ...imageFileRule, required: true },
+    coverImage: imageFileRule,
+  },
+};
+
+export const loginUserSchema = {
+  body: {
+    userName: {
+      type: "string",
+      lowercase: true,
+      maxLength: 254,
+      custom: (userName, body) =>
+        !userName && !body.email?.trim?.() ? "or email is required" : undefined,
+    },
+    email: { type: "string", lowercase: true, maxLength: 254 },
+    password: { type: "string", required: true, trim: false, maxLength: 128 },
+  },
+};
+
+export const verifyTwoFactorLoginSchema = {
+  body: {
+    challengeToken: { type: "string", required: true, maxLength: 128 },
+    code: {
+      ...totpCodeRule,
+      custom: (code, body) =>
+        !code && !body.recoveryCode?.trim?.()
+          ? "or recoveryCode is required"
+          : undefined,
+    },
+    recoveryCode: { type: "string", maxLength: 32 },
+  },
+};
+
+export const refreshAccessTokenSchema = {
+  body: {
+    refreshToken: { type: "string", maxLength: 2048 },
+  },
+};
+
+export const changePasswordSchema = {
+  body: {
+    oldPassword: { type: "string", required: true, trim: false },
+    newPassword: { ...passwordRule, required: true },
+  },
+};
+
+export const confirmTwoFactorSchema = {
+  body: {
+    code: { ...totpCodeRule, required: true },
+  },
+};
+
+export const disableTwoFactorSchema = {
+  body: {
+    password: { type: "string", required: true, trim: false },
+  },
+};
+
+export const verifyEmailSchema = {
+  body: {
+    token: { type: "string", required: true, maxLength: 128 },
+  },
+};
+
+export const forgotPasswordSchema = {
+  body: {
+    email: { ...emailRule, required: true },
+  },
+};
+
+export const resetPasswordSchema = {
+  body: {
+    token: { type: "string", required: true, maxLength: 128 },
+    newPassword: { ...passwordRule, required: true },
+  },
+};
+
+export const sessionIdSchema = {
+  params: { sessionId: objectIdRule },
+};
+
+export const updateAccountSchema = {
+  body: {
+    fullName: {
+      type: "string",
+      maxLength: 100,
+      custom: (fullName, body) =>
+        !fullName && !body.email?.trim?.() ? "or email is required" : undefined,
+    },
+    email: emailRule,
+  },
+};
+
+export const updateAvatarSchema = {
+  files: { avatarImage: { ...imageFileRule, required: true } },
+};
+
+export const updateCoverImageSchema = {
+  files: { coverImage: { ...imageFileRule, required: true } },
+};
+
+export const channelProfileSchema = {
+  params: { username: { type: "string", required: true, lowercase: true } },
+};
+
+export const watchHistoryVideoSchema = {
+  params: { videoId: objectIdRule },
+};
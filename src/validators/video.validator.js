@@ -0,0 +1,59 @@
+import {
+  objectIdRule,
+  paginationQuery,
+  dateRangeQuery,
+  imageFileRule,
+  videoFileRule,
+} from "./common.validator.js";
+
+const videoIdParams = { videoId: objectIdRule };
+
+export const getAllVideosSchema = {
+  query: {
+    ...paginationQuery,
+    sortBy: { type: "string", enum: ["createdAt", "views", "duration"] },
+    sortType: { type: "string", enum: ["asc", "desc"] },
+    ownerId: { type: "objectId" },
+    userName: { type: "string", lowercase: true, maxLength: 30 },
+  },
+};
+
+export const searchVideosSchema = {
+  query: {
+    ...paginationQuery,
+    ...dateRangeQuery,
+    q: { type: "string", required: true, maxLength: 100 },
+    ownerId: { type: "objectId" },
+    minDuration: { type: "number", min: 0 },
+    maxDuration: { type: "number", min: 0 },
+  },
+};
+
+export const publishVideoSchema = {
+  body: {
+    title: { type: "string", required: true, maxLength: 100 },
+    description: { type: "string", required: true, maxLength: 5000 },
+  },
+  files: {
+    videoFile: { ...videoFileRule, required: true },
+    thumbnail: { ...imageFileRule, required: true },
+  },
+};
+
+export const videoIdSchema = {
+  params: videoIdParams,
+};
+
+export const updateVideoSchema = {
+  params: videoIdParams,
+  body: {
+    title: { type: "string", maxLength: 100 },
+    description: { type: "string", maxLength: 5000 },
+  },
+  files: { thumbnail: imageFileRule },
+};
+
+export const videoViewStatsSchema = {
+  params: videoIdParams,
+  query: dateRangeQuery,
+};